@@ -1,19 +1,57 @@
-const { getConfig } = require('./lib/config')
+const _ = require('lodash')
+const { getConfig, DEFAULT_CONFIG_NAME } = require('./lib/config')
 const { isTriggerableReference } = require('./lib/triggerable-reference')
 const {
+  listReleases,
   findReleases,
   generateReleaseInfo,
   createRelease,
   updateRelease,
+  removeDuplicateDrafts,
 } = require('./lib/releases')
-const { findCommitsWithAssociatedPullRequests } = require('./lib/commits')
+const {
+  findCommitHistory,
+  findCommitsWithAssociatedPullRequests,
+} = require('./lib/commits')
 const { sortPullRequests } = require('./lib/sort-pull-requests')
+const { addClosingIssues } = require('./lib/closing-issues')
+const {
+  applyConventionalCommitLabels,
+  getConventionalCommitLabels,
+} = require('./lib/conventional-commits')
 const { log } = require('./lib/log')
 const core = require('@actions/core')
 const { runnerIsActions } = require('./lib/utils')
-const ignore = require('ignore')
+const {
+  findAutolabels,
+  shouldAutolabel,
+  isLabelChange,
+  applyExclusiveGroups,
+  findRemovableLabels,
+  findIssueLabels,
+  removeLabels,
+} = require('./lib/autolabeler')
+const { createLabelsStatus } = require('./lib/check-labels')
+const { createOrUpdatePreviewComment } = require('./lib/preview-comment')
+const { syncLabels, isDefaultBranchPush } = require('./lib/labels')
+const { findVersionRange } = require('./lib/version-constraints')
 
 module.exports = (app, { getRouter }) => {
+  let appLogin
+
+  // The login labels are applied with, the app's bot when not in GitHub Actions
+  const getBotLogin = async () => {
+    if (runnerIsActions()) {
+      return 'github-actions[bot]'
+    }
+    if (!appLogin) {
+      const octokit = await app.auth()
+      const { data } = await octokit.apps.getAuthenticated()
+      appLogin = `${data.slug}[bot]`
+    }
+    return appLogin
+  }
+
   if (!runnerIsActions() && typeof getRouter === 'function') {
     getRouter().get('/healthz', (request, response) => {
       response.status(200).json({ status: 'pass' })
@@ -26,10 +64,18 @@ module.exports = (app, { getRouter }) => {
       'pull_request.reopened',
       'pull_request.synchronize',
       'pull_request.edited',
+      'pull_request.ready_for_review',
+      'pull_request.converted_to_draft',
+      'pull_request.labeled',
+      'pull_request.unlabeled',
       'pull_request_target.opened',
       'pull_request_target.reopened',
       'pull_request_target.synchronize',
       'pull_request_target.edited',
+      'pull_request_target.ready_for_review',
+      'pull_request_target.converted_to_draft',
+      'pull_request_target.labeled',
+      'pull_request_target.unlabeled',
     ],
     async (context) => {
       const { configName, disableAutolabeler } = getInput()
@@ -39,93 +85,33 @@ module.exports = (app, { getRouter }) => {
         configName,
       })
 
-      if (config === null || disableAutolabeler) return
+      if (config === null) return
 
-      let issue = {
-        ...context.issue({ pull_number: context.payload.pull_request.number }),
-      }
-      const changedFiles = await context.octokit.paginate(
-        context.octokit.pulls.listFiles.endpoint.merge(issue),
-        (response) => response.data.map((file) => file.filename)
+      const labels = new Set(
+        context.payload.pull_request.labels.map((label) => label.name)
       )
-      const labels = new Set()
-
-      for (const autolabel of config['autolabeler']) {
-        let found = false
-        // check modified files
-        if (!found && autolabel.files.length > 0) {
-          const matcher = ignore().add(autolabel.files)
-          if (changedFiles.some((file) => matcher.ignores(file))) {
-            labels.add(autolabel.label)
-            found = true
-            log({
-              context,
-              message: `Found label for files: '${autolabel.label}'`,
-            })
-          }
-        }
-        // check branch names
-        if (!found && autolabel.branch.length > 0) {
-          for (const matcher of autolabel.branch) {
-            if (matcher.test(context.payload.pull_request.head.ref)) {
-              labels.add(autolabel.label)
-              found = true
-              log({
-                context,
-                message: `Found label for branch: '${autolabel.label}'`,
-              })
-              break
-            }
-          }
-        }
-        // check pr title
-        if (!found && autolabel.title.length > 0) {
-          for (const matcher of autolabel.title) {
-            if (matcher.test(context.payload.pull_request.title)) {
-              labels.add(autolabel.label)
-              found = true
-              log({
-                context,
-                message: `Found label for title: '${autolabel.label}'`,
-              })
-              break
-            }
-          }
-        }
-        // check pr body
-        if (
-          !found &&
-          context.payload.pull_request.body != null &&
-          autolabel.body.length > 0
-        ) {
-          for (const matcher of autolabel.body) {
-            if (matcher.test(context.payload.pull_request.body)) {
-              labels.add(autolabel.label)
-              found = true
-              log({
-                context,
-                message: `Found label for body: '${autolabel.label}'`,
-              })
-              break
-            }
-          }
-        }
+
+      if (!disableAutolabeler && shouldAutolabel({ context, config })) {
+        const { labelsToAdd, removedLabels } = await autolabel({
+          context,
+          config,
+          getBotLogin,
+        })
+        for (const label of labelsToAdd) labels.add(label)
+        for (const label of removedLabels) labels.delete(label)
+      }
+
+      if (config['check-labels']) {
+        await createLabelsStatus({ context, config, labels: [...labels] })
       }
 
-      const labelsToAdd = [...labels]
-      if (labelsToAdd.length > 0) {
-        let labelIssue = {
-          ...context.issue({
-            issue_number: context.payload.pull_request.number,
-            labels: labelsToAdd,
-          }),
-        }
-        await context.octokit.issues.addLabels(labelIssue)
-        if (runnerIsActions()) {
-          core.setOutput('number', context.payload.pull_request.number)
-          core.setOutput('labels', labelsToAdd.join(','))
-        }
-        return
+      if (config['preview-comment']) {
+        updateConfigFromInput(config, getInput())
+        await createOrUpdatePreviewComment({
+          context,
+          config,
+          labels: [...labels],
+        })
       }
     }
   )
@@ -138,7 +124,13 @@ module.exports = (app, { getRouter }) => {
       configName: input.configName,
     })
 
-    if (!config || input.disableReleaser) return
+    if (!config) return
+
+    if (config.labels.length > 0 && isDefaultBranchPush(context)) {
+      await syncLabels({ context, config })
+    }
+
+    if (input.disableReleaser) return
 
     updateConfigFromInput(config, input)
 
@@ -152,76 +144,26 @@ module.exports = (app, { getRouter }) => {
 
     const targetCommitish = config.commitish || ref
 
-    const {
-      'filter-by-commitish': filterByCommitish,
-      'include-pre-releases': includePreReleases,
-      'prerelease-identifier': preReleaseIdentifier,
-      'tag-prefix': tagPrefix,
-      latest,
-      prerelease,
-    } = config
-
-    const shouldIncludePreReleases = Boolean(
-      includePreReleases || preReleaseIdentifier
-    )
+    if (config.packages.length > 0) {
+      await draftPackageReleases({ context, config, input, targetCommitish })
+      return
+    }
 
-    const { draftRelease, lastRelease } = await findReleases({
+    const { draftRelease, lastRelease } = await findConfigReleases({
       context,
+      config,
       targetCommitish,
-      filterByCommitish,
-      includePreReleases: shouldIncludePreReleases,
-      tagPrefix,
     })
 
-    const { commits, pullRequests: mergedPullRequests } =
-      await findCommitsWithAssociatedPullRequests({
-        context,
-        targetCommitish,
-        lastRelease,
-        config,
-      })
-
-    const sortedMergedPullRequests = sortPullRequests(
-      mergedPullRequests,
-      config['sort-by'],
-      config['sort-direction']
-    )
-
-    const { shouldDraft, version, tag, name } = input
-
-    const releaseInfo = generateReleaseInfo({
+    const { createOrUpdateReleaseResponse, releaseInfo } = await draft({
       context,
-      commits,
       config,
-      lastRelease,
-      mergedPullRequests: sortedMergedPullRequests,
-      version,
-      tag,
-      name,
-      isPreRelease: prerelease,
-      latest,
-      shouldDraft,
+      input,
       targetCommitish,
+      draftRelease,
+      lastRelease,
     })
 
-    let createOrUpdateReleaseResponse
-    if (!draftRelease) {
-      log({ context, message: 'Creating new release' })
-      createOrUpdateReleaseResponse = await createRelease({
-        context,
-        releaseInfo,
-        config,
-      })
-    } else {
-      log({ context, message: 'Updating existing release' })
-      createOrUpdateReleaseResponse = await updateRelease({
-        context,
-        draftRelease,
-        releaseInfo,
-        config,
-      })
-    }
-
     if (runnerIsActions()) {
       setActionOutput(createOrUpdateReleaseResponse, releaseInfo)
     }
@@ -234,6 +176,282 @@ module.exports = (app, { getRouter }) => {
   }
 }
 
+/**
+ * The options telling the releases and the draft of the config apart.
+ */
+function getReleaseFilters({ config, targetCommitish }) {
+  const {
+    'filter-by-commitish': filterByCommitish,
+    'include-pre-releases': includePreReleases,
+    'prerelease-identifier': preReleaseIdentifier,
+    'tag-prefix': tagPrefix,
+    'draft-key': draftKey,
+  } = config
+
+  return {
+    targetCommitish,
+    filterByCommitish,
+    includePreReleases: Boolean(includePreReleases || preReleaseIdentifier),
+    tagPrefix,
+    versionRange: findVersionRange({ config, targetCommitish }),
+    draftKey,
+  }
+}
+
+async function findConfigReleases({
+  context,
+  config,
+  targetCommitish,
+  releases,
+}) {
+  return findReleases({
+    context,
+    releases,
+    ...getReleaseFilters({ config, targetCommitish }),
+    previousReleaseStrategy: config['previous-release-strategy'],
+    includeTags: config['include-tags'],
+  })
+}
+
+/**
+ * Generates the release notes from the commits since the last release.
+ */
+async function resolveReleaseInfo({
+  context,
+  config,
+  input,
+  targetCommitish,
+  lastRelease,
+  history,
+}) {
+  const { commits, pullRequests: mergedPullRequests } =
+    await findCommitsWithAssociatedPullRequests({
+      context,
+      targetCommitish,
+      lastRelease,
+      config,
+      history,
+    })
+
+  const sortedMergedPullRequests = await addClosingIssues({
+    context,
+    config,
+    pullRequests: sortPullRequests(
+      applyConventionalCommitLabels(mergedPullRequests, config),
+      config['sort-by'],
+      config['sort-direction']
+    ),
+  })
+
+  const { shouldDraft, version, tag, name } = input
+
+  return generateReleaseInfo({
+    context,
+    commits,
+    config,
+    lastRelease,
+    mergedPullRequests: sortedMergedPullRequests,
+    version,
+    tag,
+    name,
+    isPreRelease: config.prerelease,
+    latest: config.latest,
+    shouldDraft,
+    targetCommitish,
+  })
+}
+
+async function draft({
+  context,
+  config,
+  input,
+  targetCommitish,
+  draftRelease,
+  lastRelease,
+  history,
+}) {
+  let releaseInfo = await resolveReleaseInfo({
+    context,
+    config,
+    input,
+    targetCommitish,
+    lastRelease,
+    history,
+  })
+
+  let createOrUpdateReleaseResponse
+  if (!draftRelease) {
+    log({ context, message: 'Creating new release' })
+    createOrUpdateReleaseResponse = await createRelease({
+      context,
+      releaseInfo,
+      config,
+    })
+    if (releaseInfo.draft) {
+      ;({ response: createOrUpdateReleaseResponse, releaseInfo } =
+        await removeDuplicateDrafts({
+          context,
+          config,
+          releaseInfo,
+          // the commit history is fetched again, it may have moved since
+          resolveReleaseInfo: () =>
+            resolveReleaseInfo({
+              context,
+              config,
+              input,
+              targetCommitish,
+              lastRelease,
+            }),
+          createReleaseResponse: createOrUpdateReleaseResponse,
+          ...getReleaseFilters({ config, targetCommitish }),
+        }))
+    }
+  } else {
+    log({ context, message: 'Updating existing release' })
+    createOrUpdateReleaseResponse = await updateRelease({
+      context,
+      draftRelease,
+      releaseInfo,
+      config,
+    })
+  }
+
+  return { createOrUpdateReleaseResponse, releaseInfo }
+}
+
+/**
+ * Drafts a release per package of a monorepo, listing the releases and
+ * fetching the commit history only once for all of them. The action outputs
+ * describe a single release, so they are not set for packages.
+ */
+async function draftPackageReleases({
+  context,
+  config,
+  input,
+  targetCommitish,
+}) {
+  const releases = await listReleases({ context })
+
+  const packages = []
+  for (const packageConfig of config.packages) {
+    updateConfigFromInput(packageConfig, input)
+    log({
+      context,
+      message: `Finding releases of package ${packageConfig.name}`,
+    })
+    packages.push({
+      config: packageConfig,
+      ...(await findConfigReleases({
+        context,
+        config: packageConfig,
+        targetCommitish,
+        releases,
+      })),
+    })
+  }
+
+  const history = await findCommitHistory({
+    context,
+    targetCommitish,
+    since: packages.some(({ lastRelease }) => !lastRelease)
+      ? undefined
+      : _.minBy(
+          packages.map(({ lastRelease }) => lastRelease.created_at),
+          (date) => new Date(date)
+        ),
+    configs: config.packages,
+  })
+
+  for (const { config: packageConfig, draftRelease, lastRelease } of packages) {
+    log({
+      context,
+      message: `Drafting release of package ${packageConfig.name}`,
+    })
+    await draft({
+      context,
+      config: packageConfig,
+      // the version, tag and name inputs would be the same for every package
+      input: { ...input, version: undefined, tag: undefined, name: undefined },
+      targetCommitish,
+      draftRelease,
+      lastRelease,
+      history,
+    })
+  }
+}
+
+async function autolabel({ context, config, getBotLogin }) {
+  let issue = {
+    ...context.issue({ pull_number: context.payload.pull_request.number }),
+  }
+  const changedFiles = await context.octokit.paginate(
+    context.octokit.pulls.listFiles.endpoint.merge(issue)
+  )
+  const { labels: autolabels, staleLabels } = findAutolabels({
+    context,
+    autolabeler: config['autolabeler'],
+    changedFiles,
+  })
+  const removableLabels = await findRemovableLabels({
+    context,
+    staleLabels,
+    getBotLogin,
+  })
+  // Label changes made by hand are only reconciled, labels removed by hand
+  // are not added back
+  const labels = isLabelChange(context)
+    ? []
+    : [
+        ...new Set([
+          ...autolabels,
+          ...(await findIssueLabels({
+            context,
+            allowList: config['autolabeler-issue-labels'],
+          })),
+          ...getConventionalCommitLabels(context.payload.pull_request, config),
+        ]),
+      ]
+  const { labels: labelsToAdd, conflictingLabels } = applyExclusiveGroups({
+    context,
+    labels,
+    exclusiveGroups: config['autolabeler-exclusive-groups'],
+    removableLabels,
+    chosenLabel:
+      context.payload.action === 'labeled'
+        ? context.payload.label.name
+        : undefined,
+  })
+  const labelsToRemove = [
+    ...new Set([...conflictingLabels, ...removableLabels]),
+  ].filter((label) => !labelsToAdd.includes(label))
+
+  if (labelsToAdd.length > 0) {
+    let labelIssue = {
+      ...context.issue({
+        issue_number: context.payload.pull_request.number,
+        labels: labelsToAdd,
+      }),
+    }
+    await context.octokit.issues.addLabels(labelIssue)
+  }
+
+  const removedLabels = await removeLabels({
+    context,
+    labels: labelsToRemove,
+  })
+
+  if (
+    runnerIsActions() &&
+    (labelsToAdd.length > 0 || removedLabels.length > 0)
+  ) {
+    core.setOutput('number', context.payload.pull_request.number)
+    core.setOutput('labels', labelsToAdd.join(','))
+    core.setOutput('removed_labels', removedLabels.join(','))
+  }
+
+  return { labelsToAdd, removedLabels }
+}
+
 function getInput() {
   return {
     configName: core.getInput('config-name'),
@@ -284,6 +502,17 @@ function updateConfigFromInput(config, input) {
   config.latest = config.prerelease
     ? 'false'
     : input.latest || config.latest || undefined
+
+  // Other configs than the default one draft their own releases
+  if (
+    !config['draft-key'] &&
+    input.configName &&
+    input.configName !== DEFAULT_CONFIG_NAME
+  ) {
+    config['draft-key'] = input.configName
+      .replace(/\.ya?ml$/, '')
+      .replace(/[^\w.-]/g, '-')
+  }
 }
 
 function setActionOutput(
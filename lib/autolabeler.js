@@ -0,0 +1,347 @@
+const _ = require('lodash')
+const ignore = require('ignore')
+const { log } = require('./log')
+
+// Regexes created from plain strings are global, reset them before each use
+const testRegex = (regex, value) => {
+  regex.lastIndex = 0
+  return regex.test(value)
+}
+
+const inRange = (value, range) =>
+  range === undefined ||
+  ((range.min === undefined || value >= range.min) &&
+    (range.max === undefined || value <= range.max))
+
+const matchSize = (size, changedFiles) => {
+  const ignored = ignore().add(size.ignore)
+  const files = changedFiles.filter((file) => !ignored.ignores(file.filename))
+  const additions = _.sumBy(files, 'additions')
+  const deletions = _.sumBy(files, 'deletions')
+
+  return (
+    inRange(additions + deletions, size.lines) &&
+    inRange(additions, size.additions) &&
+    inRange(deletions, size.deletions) &&
+    inRange(files.length, size['changed-files'])
+  )
+}
+
+const matchers = {
+  files: ({ condition, changedFiles }) => {
+    if (condition.files.length === 0) return false
+    const matcher = ignore().add(condition.files)
+    return changedFiles.some((file) => matcher.ignores(file.filename))
+  },
+  branch: ({ condition, pullRequest }) =>
+    condition.branch.some((matcher) =>
+      testRegex(matcher, pullRequest.head.ref)
+    ),
+  title: ({ condition, pullRequest }) =>
+    condition.title.some((matcher) => testRegex(matcher, pullRequest.title)),
+  body: ({ condition, pullRequest }) =>
+    pullRequest.body != null &&
+    condition.body.some((matcher) => testRegex(matcher, pullRequest.body)),
+  // GitHub omits the patch of binary files and of diffs that are too large
+  patch: ({ condition, changedFiles }) =>
+    condition.patch.length > 0 &&
+    changedFiles.some(
+      (file) =>
+        typeof file.patch === 'string' &&
+        condition.patch.some((matcher) => testRegex(matcher, file.patch))
+    ),
+  'base-branch': ({ condition, pullRequest }) =>
+    condition['base-branch'].some((matcher) =>
+      testRegex(matcher, pullRequest.base.ref)
+    ),
+  author: ({ condition, pullRequest }) =>
+    pullRequest.user != null &&
+    condition.author.some((matcher) =>
+      testRegex(matcher, pullRequest.user.login)
+    ),
+  'author-association': ({ condition, pullRequest }) =>
+    condition['author-association'].includes(pullRequest.author_association),
+  'author-type': ({ condition, pullRequest }) =>
+    pullRequest.user != null &&
+    condition['author-type'].includes(pullRequest.user.type),
+  draft: ({ condition, pullRequest }) =>
+    condition.draft !== undefined &&
+    Boolean(pullRequest.draft) === condition.draft,
+  size: ({ condition, changedFiles }) =>
+    condition.size !== undefined && matchSize(condition.size, changedFiles),
+  all: ({ condition, ...input }) =>
+    condition.all !== undefined &&
+    condition.all.every((nested) =>
+      matchCondition({ ...input, condition: nested })
+    ),
+  any: ({ condition, ...input }) =>
+    condition.any !== undefined &&
+    condition.any.some((nested) =>
+      matchCondition({ ...input, condition: nested })
+    ),
+  not: ({ condition, ...input }) =>
+    condition.not !== undefined &&
+    !matchCondition({ ...input, condition: condition.not }),
+}
+
+/**
+ * A condition matches when at least one of its matchers matches.
+ */
+const findMatcher = (input) =>
+  Object.keys(matchers).find((name) => matchers[name](input))
+
+const matchCondition = (input) => findMatcher(input) !== undefined
+
+const matchAutolabel = ({ context, autolabel, changedFiles }) => {
+  const matcher = findMatcher({
+    condition: autolabel,
+    pullRequest: context.payload.pull_request,
+    changedFiles,
+  })
+
+  if (matcher) {
+    log({
+      context,
+      message: `Found label for ${matcher}: '${autolabel.label}'`,
+    })
+  }
+
+  return matcher !== undefined
+}
+
+/**
+ * Evaluates every autolabeler entry against the pull request of the payload.
+ * Returns the labels to apply, and the labels of `sync` entries that did not
+ * match and are therefore candidates for removal.
+ */
+const findAutolabels = ({ context, autolabeler, changedFiles }) => {
+  const labels = new Set()
+  const staleLabels = new Set()
+
+  for (const autolabel of autolabeler) {
+    if (matchAutolabel({ context, autolabel, changedFiles })) {
+      labels.add(autolabel.label)
+    } else if (autolabel.sync) {
+      staleLabels.add(autolabel.label)
+    }
+  }
+
+  // another entry may still apply the same label
+  for (const label of labels) {
+    staleLabels.delete(label)
+  }
+
+  return { labels: [...labels], staleLabels: [...staleLabels] }
+}
+
+/**
+ * Narrows the stale labels down to the ones currently on the pull request that
+ * were last applied by Release Drafter itself, whose login `getBotLogin`
+ * resolves, so labels added by humans or other bots are never removed.
+ */
+const findRemovableLabels = async ({ context, staleLabels, getBotLogin }) => {
+  const pullRequest = context.payload.pull_request
+  const currentLabels = new Set(
+    (pullRequest.labels || []).map((label) => label.name)
+  )
+  const candidates = staleLabels.filter((label) => currentLabels.has(label))
+
+  if (candidates.length === 0) {
+    return []
+  }
+
+  const botLogin = await getBotLogin()
+  const events = await context.octokit.paginate(
+    context.octokit.issues.listEvents.endpoint.merge(
+      context.issue({ issue_number: pullRequest.number, per_page: 100 })
+    )
+  )
+
+  return candidates.filter((label) => {
+    const lastLabeledEvent = events
+      .filter((event) => event.event === 'labeled' && event.label)
+      .reverse()
+      .find((event) => event.label.name === label)
+
+    if (!lastLabeledEvent || !lastLabeledEvent.actor) {
+      return false
+    }
+
+    if (lastLabeledEvent.actor.login !== botLogin) {
+      log({
+        context,
+        message: `Keeping label '${label}' applied by @${lastLabeledEvent.actor.login}`,
+      })
+      return false
+    }
+
+    return true
+  })
+}
+
+const isLabelChange = (context) =>
+  context.payload.action === 'labeled' || context.payload.action === 'unlabeled'
+
+/**
+ * Keeps a single label of each exclusive group, the one listed first among
+ * the labels to add and the labels already on the pull request. The other
+ * labels of the group are not added, and removed if already there. Labels
+ * about to be removed in sync mode can't win their group, and a label just
+ * added by hand wins its group.
+ */
+const applyExclusiveGroups = ({
+  context,
+  labels,
+  exclusiveGroups,
+  removableLabels = [],
+  chosenLabel,
+}) => {
+  const currentLabels = new Set(
+    (context.payload.pull_request.labels || [])
+      .map((label) => label.name)
+      .filter((label) => !removableLabels.includes(label))
+  )
+  let labelsToAdd = labels
+  const conflictingLabels = []
+
+  for (const group of exclusiveGroups) {
+    const isChosen =
+      group.labels.includes(chosenLabel) && currentLabels.has(chosenLabel)
+    const winner = isChosen
+      ? chosenLabel
+      : group.labels.find(
+          (label) => labelsToAdd.includes(label) || currentLabels.has(label)
+        )
+    if (
+      !winner ||
+      (!isChosen && !labelsToAdd.some((label) => group.labels.includes(label)))
+    ) {
+      continue
+    }
+
+    const losers = group.labels.filter((label) => label !== winner)
+    labelsToAdd = labelsToAdd.filter((label) => !losers.includes(label))
+    for (const label of losers) {
+      if (currentLabels.has(label)) {
+        conflictingLabels.push(label)
+      }
+    }
+
+    log({
+      context,
+      message: `Using label '${winner}' of exclusive group '${group.name}'`,
+    })
+  }
+
+  return { labels: labelsToAdd, conflictingLabels }
+}
+
+/**
+ * Label changes made by bots are left as they are, so the autolabeler doesn't
+ * react to its own changes, and draft pull requests wait for
+ * `ready_for_review` when `autolabeler-skip-drafts` is set.
+ */
+const shouldAutolabel = ({ context, config }) => {
+  const { pull_request: pullRequest, sender } = context.payload
+
+  if (isLabelChange(context) && sender && sender.type === 'Bot') {
+    return false
+  }
+
+  if (config['autolabeler-skip-drafts'] && pullRequest.draft) {
+    log({ context, message: 'Skipping autolabeler for draft pull request' })
+    return false
+  }
+
+  return true
+}
+
+const findLinkedIssuesQuery = /* GraphQL */ `
+  query findLinkedIssues($name: String!, $owner: String!, $number: Int!) {
+    repository(name: $name, owner: $owner) {
+      pullRequest(number: $number) {
+        closingIssuesReferences(first: 50) {
+          nodes {
+            number
+            labels(first: 100) {
+              nodes {
+                name
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`
+
+// Allow-list entries match label names exactly, `*` matches any characters
+const toLabelPattern = (entry) =>
+  new RegExp(
+    `^${entry
+      .split('*')
+      .map((part) => _.escapeRegExp(part))
+      .join('.*')}$`
+  )
+
+/**
+ * Finds the labels of the issues the pull request closes, as in `Fixes #123`,
+ * that pass the allow-list.
+ */
+const findIssueLabels = async ({ context, allowList }) => {
+  if (allowList.length === 0) {
+    return []
+  }
+
+  const { repository } = await context.octokit.graphql(
+    findLinkedIssuesQuery,
+    context.repo({ number: context.payload.pull_request.number })
+  )
+  const patterns = allowList.map((entry) => toLabelPattern(entry))
+  const labels = []
+
+  for (const issue of repository.pullRequest.closingIssuesReferences.nodes) {
+    for (const { name } of issue.labels.nodes) {
+      if (
+        !labels.includes(name) &&
+        patterns.some((pattern) => pattern.test(name))
+      ) {
+        log({
+          context,
+          message: `Found label for linked issue #${issue.number}: '${name}'`,
+        })
+        labels.push(name)
+      }
+    }
+  }
+
+  return labels
+}
+
+const removeLabels = async ({ context, labels }) => {
+  const removedLabels = []
+  for (const label of labels) {
+    try {
+      await context.octokit.issues.removeLabel(
+        context.issue({
+          issue_number: context.payload.pull_request.number,
+          name: label,
+        })
+      )
+      removedLabels.push(label)
+      log({ context, message: `Removed label: '${label}'` })
+    } catch (error) {
+      // the label might have been removed in the meantime
+      if (error.status !== 404) throw error
+    }
+  }
+  return removedLabels
+}
+
+exports.findAutolabels = findAutolabels
+exports.shouldAutolabel = shouldAutolabel
+exports.isLabelChange = isLabelChange
+exports.applyExclusiveGroups = applyExclusiveGroups
+exports.findRemovableLabels = findRemovableLabels
+exports.findIssueLabels = findIssueLabels
+exports.removeLabels = removeLabels
@@ -0,0 +1,75 @@
+const _ = require('lodash')
+const { log } = require('./log')
+
+const LABELS_STATUS_CONTEXT = 'release-drafter/labels'
+
+// GitHub rejects commit status descriptions longer than this
+const MAX_DESCRIPTION_LENGTH = 140
+
+const VERSION_KEYS = ['major', 'minor', 'patch']
+
+/**
+ * Checks that the labels place the pull request in the release notes: it
+ * needs one of the `categories`, `version-resolver` or `exclude-labels`
+ * labels, and at most one `version-resolver` increment.
+ */
+const checkLabels = ({ labels, config }) => {
+  const versionResolver = config['version-resolver']
+  const acceptedLabels = _.uniq([
+    ...config.categories.flatMap((category) => category.labels),
+    ...VERSION_KEYS.flatMap((key) => versionResolver[key].labels),
+    ...config['exclude-labels'],
+  ])
+
+  if (acceptedLabels.length === 0) {
+    return { state: 'success', description: 'No labels are required' }
+  }
+
+  const versionKeys = VERSION_KEYS.filter((key) =>
+    versionResolver[key].labels.some((label) => labels.includes(label))
+  )
+  if (versionKeys.length > 1) {
+    const conflictingLabels = labels.filter((label) =>
+      versionKeys.some((key) => versionResolver[key].labels.includes(label))
+    )
+    return {
+      state: 'failure',
+      description: `Conflicting version labels: ${conflictingLabels.join(
+        ', '
+      )}`,
+    }
+  }
+
+  const matchingLabels = labels.filter((label) =>
+    acceptedLabels.includes(label)
+  )
+  if (matchingLabels.length === 0) {
+    return {
+      state: 'failure',
+      description: `Missing one of the labels: ${acceptedLabels.join(', ')}`,
+    }
+  }
+
+  return {
+    state: 'success',
+    description: `Labeled with ${matchingLabels.join(', ')}`,
+  }
+}
+
+const createLabelsStatus = async ({ context, config, labels }) => {
+  const { state, description } = checkLabels({ labels, config })
+
+  log({ context, message: `Labels check ${state}: ${description}` })
+
+  return context.octokit.repos.createCommitStatus(
+    context.repo({
+      sha: context.payload.pull_request.head.sha,
+      state,
+      context: LABELS_STATUS_CONTEXT,
+      description: _.truncate(description, { length: MAX_DESCRIPTION_LENGTH }),
+    })
+  )
+}
+
+exports.checkLabels = checkLabels
+exports.createLabelsStatus = createLabelsStatus
@@ -0,0 +1,102 @@
+const _ = require('lodash')
+const { log } = require('./log')
+const {
+  getFilterExcludedPullRequests,
+  getFilterIncludedPullRequests,
+} = require('./releases')
+
+// GitHub rejects queries asking for more than 500,000 nodes, a batch asks for
+// up to 50 pull requests × 25 issues × 100 labels
+const PULL_REQUEST_BATCH_SIZE = 50
+
+const closingIssuesFragment = /* GraphQL */ `
+  fragment closingIssues on PullRequest {
+    closingIssuesReferences(first: 25) {
+      nodes {
+        title
+        number
+        url
+        repository {
+          nameWithOwner
+        }
+        labels(first: 100) {
+          nodes {
+            name
+          }
+        }
+      }
+    }
+  }
+`
+
+// Each pull request of the batch is aliased with its number
+const findClosingIssuesQuery = (numbers) => /* GraphQL */ `
+  query findClosingIssues($name: String!, $owner: String!) {
+    repository(name: $name, owner: $owner) {
+      ${numbers
+        .map(
+          (number) =>
+            `pr${number}: pullRequest(number: ${number}) { ...closingIssues }`
+        )
+        .join('\n      ')}
+    }
+  }
+  ${closingIssuesFragment}
+`
+
+const usesClosingIssues = (config) =>
+  config['change-template'].includes('$ISSUES') ||
+  [config.header, config.template, config.footer].some((template) =>
+    template.includes('$FIXED_ISSUES')
+  )
+
+/**
+ * Adds the issues closed by the pull requests of the release to them, when the
+ * templates use `$ISSUES` or `$FIXED_ISSUES`. The pull requests left out of the
+ * release by their labels are not looked up.
+ */
+const addClosingIssues = async ({ context, config, pullRequests }) => {
+  if (!usesClosingIssues(config)) {
+    return pullRequests
+  }
+
+  const numbers = pullRequests
+    .filter(getFilterExcludedPullRequests(config['exclude-labels']))
+    .filter(getFilterIncludedPullRequests(config['include-labels']))
+    .map((pullRequest) => pullRequest.number)
+  if (numbers.length === 0) {
+    return pullRequests
+  }
+
+  log({
+    context,
+    message: `Fetching the issues closed by ${numbers.length} pull requests`,
+  })
+
+  const { owner, repo } = context.repo()
+  const closingIssues = new Map()
+  for (const batch of _.chunk(numbers, PULL_REQUEST_BATCH_SIZE)) {
+    const { repository } = await context.octokit.graphql(
+      findClosingIssuesQuery(batch),
+      { name: repo, owner }
+    )
+    for (const number of batch) {
+      const pullRequest = repository[`pr${number}`]
+      if (pullRequest) {
+        closingIssues.set(number, pullRequest.closingIssuesReferences)
+      }
+    }
+  }
+
+  return pullRequests.map((pullRequest) =>
+    closingIssues.has(pullRequest.number)
+      ? {
+          ...pullRequest,
+          closingIssuesReferences: closingIssues.get(pullRequest.number),
+        }
+      : pullRequest
+  )
+}
+
+exports.findClosingIssuesQuery = findClosingIssuesQuery
+exports.addClosingIssues = addClosingIssues
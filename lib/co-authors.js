@@ -0,0 +1,53 @@
+const CO_AUTHOR_REGEX = /^co-authored-by:\s*(.+?)\s*<([^>]+)>\s*$/gim
+const NOREPLY_EMAIL_REGEX = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i
+
+/**
+ * Parses the `Co-authored-by: Name <email>` trailers of a commit message.
+ */
+const parseCoAuthors = (message) =>
+  [...(message || '').matchAll(CO_AUTHOR_REGEX)].map(([, name, email]) => ({
+    name,
+    email,
+  }))
+
+/**
+ * Maps the emails of the commit authors to their GitHub login, to resolve the
+ * co-authors using the same email.
+ */
+const findLoginsByEmail = (commits) =>
+  new Map(
+    commits
+      .filter((commit) => commit.author.user && commit.author.email)
+      .map((commit) => [
+        commit.author.email.toLowerCase(),
+        commit.author.user.login,
+      ])
+  )
+
+/**
+ * Resolves the login of a co-author from their GitHub noreply email, or from
+ * the commits they authored, if any.
+ */
+const resolveCoAuthorLogin = ({ coAuthor, loginsByEmail }) => {
+  const noreplyMatch = coAuthor.email.match(NOREPLY_EMAIL_REGEX)
+  return noreplyMatch
+    ? noreplyMatch[1]
+    : loginsByEmail.get(coAuthor.email.toLowerCase())
+}
+
+/**
+ * Lists the co-authors of the commits, with their login when it can be
+ * resolved.
+ */
+const findCoAuthors = (commits) => {
+  const loginsByEmail = findLoginsByEmail(commits)
+  return commits
+    .flatMap((commit) => parseCoAuthors(commit.message))
+    .map((coAuthor) => ({
+      ...coAuthor,
+      login: resolveCoAuthorLogin({ coAuthor, loginsByEmail }),
+    }))
+}
+
+exports.parseCoAuthors = parseCoAuthors
+exports.findCoAuthors = findCoAuthors
@@ -1,4 +1,5 @@
 const _ = require('lodash')
+const ignore = require('ignore')
 const { log } = require('./log')
 const { paginate } = require('./pagination')
 
@@ -53,10 +54,13 @@ const findCommitsWithAssociatedPullRequestsQuery = /* GraphQL */ `
             }
             nodes {
               id
+              oid
+              url
               committedDate
               message
               author {
                 name
+                email
                 user {
                   login
                 }
@@ -95,40 +99,209 @@ const findCommitsWithAssociatedPullRequestsQuery = /* GraphQL */ `
   }
 `
 
+// The compare API takes branch and tag names rather than full refs
+const toBasehead = (base, head) =>
+  `${base}...${head.replace(/^refs\/(heads|tags)\//, '')}`
+
+/**
+ * Lists the commits of the git range `base..head`, the commits reachable from
+ * `head` but not from `base`, using the compare API. When `base` is not an
+ * ancestor of `head`, the range starts from their merge base.
+ */
+const findCommitsInRange = async ({ context, base, head }) => {
+  const basehead = toBasehead(base, head)
+  const commits = []
+  let comparison
+  let page = 1
+
+  do {
+    ;({ data: comparison } =
+      await context.octokit.repos.compareCommitsWithBasehead(
+        context.repo({ basehead, per_page: 100, page })
+      ))
+    commits.push(...comparison.commits)
+    page++
+  } while (
+    comparison.commits.length > 0 &&
+    commits.length < comparison.total_commits
+  )
+
+  return {
+    status: comparison.status,
+    mergeBase: comparison.merge_base_commit.sha,
+    commits,
+  }
+}
+
+/**
+ * Tells whether `base` is reachable from `head`, without listing the commits
+ * between them.
+ */
+const isAncestor = async ({ context, base, head }) => {
+  const { data: comparison } =
+    await context.octokit.repos.compareCommitsWithBasehead(
+      context.repo({ basehead: toBasehead(base, head), per_page: 1 })
+    )
+  return comparison.status === 'ahead' || comparison.status === 'identical'
+}
+
+const isGlob = (path) => /[!*?[\]{}]/.test(path)
+
+// `history(path:)` only takes a literal path, so globs are narrowed down to
+// the directory before their first wildcard
+const getHistoryPath = (path) => {
+  if (!isGlob(path)) {
+    return path
+  }
+  return _.takeWhile(path.split('/'), (segment) => !isGlob(segment)).join('/')
+}
+
+/**
+ * Keeps the commits that change at least one file matching `includePaths`,
+ * or any file when empty, that doesn't match `excludePaths`.
+ */
+const filterCommitsByFiles = async ({
+  context,
+  commits,
+  includePaths,
+  excludePaths,
+}) => {
+  const included = ignore().add(includePaths)
+  const excluded = ignore().add(excludePaths)
+  const isMatchingFile = ({ filename }) =>
+    (includePaths.length === 0 || included.ignores(filename)) &&
+    !excluded.ignores(filename)
+
+  const matchingCommits = []
+  for (const commit of commits) {
+    const { data } = await context.octokit.repos.getCommit(
+      context.repo({ ref: commit.oid })
+    )
+    if (data.files.some((file) => isMatchingFile(file))) {
+      matchingCommits.push(commit)
+    }
+  }
+  return matchingCommits
+}
+
+const getHistoryVariables = ({ context, targetCommitish, configs }) => {
+  const { owner, repo } = context.repo()
+  const changeTemplates = configs.map((config) => config['change-template'])
+  return {
+    name: repo,
+    owner,
+    targetCommitish,
+    withPullRequestBody:
+      changeTemplates.some((template) => template.includes('$BODY')) ||
+      configs.some((config) => config['conventional-commits'].enabled),
+    withPullRequestURL: changeTemplates.some((template) =>
+      template.includes('$URL')
+    ),
+    withBaseRefName: changeTemplates.some((template) =>
+      template.includes('$BASE_REF_NAME')
+    ),
+    withHeadRefName: changeTemplates.some((template) =>
+      template.includes('$HEAD_REF_NAME')
+    ),
+    pullRequestLimit: Math.max(
+      ...configs.map((config) => config['pull-request-limit'])
+    ),
+  }
+}
+
+/**
+ * Fetches the commits of `targetCommitish` since a date once for several
+ * configs, such as the packages of a monorepo, with the fields all of them
+ * need.
+ */
+const findCommitHistory = async ({
+  context,
+  targetCommitish,
+  since,
+  configs,
+}) => {
+  const variables = getHistoryVariables({ context, targetCommitish, configs })
+  const dataPath = ['repository', 'object', 'history']
+
+  log({
+    context,
+    message: `Fetching parent commits of ${targetCommitish}${
+      since ? ` since ${since}` : ''
+    }`,
+  })
+
+  const data = await paginate(
+    context.octokit.graphql,
+    findCommitsWithAssociatedPullRequestsQuery,
+    since ? { ...variables, since } : variables,
+    dataPath
+  )
+  return { since, nodes: _.get(data, [...dataPath, 'nodes']) }
+}
+
 const findCommitsWithAssociatedPullRequests = async ({
   context,
   targetCommitish,
   lastRelease,
   config,
+  history,
 }) => {
   const { owner, repo } = context.repo()
-  const variables = {
-    name: repo,
-    owner,
+  const variables = getHistoryVariables({
+    context,
     targetCommitish,
-    withPullRequestBody: config['change-template'].includes('$BODY'),
-    withPullRequestURL: config['change-template'].includes('$URL'),
-    withBaseRefName: config['change-template'].includes('$BASE_REF_NAME'),
-    withHeadRefName: config['change-template'].includes('$HEAD_REF_NAME'),
-    pullRequestLimit: config['pull-request-limit'],
-  }
+    configs: [config],
+  })
   const includePaths = config['include-paths']
+  const excludePaths = config['exclude-paths']
+  const historyPaths = _.uniq(includePaths.map((path) => getHistoryPath(path)))
+  // a glob starting with a wildcard can match any path of the repository
+  const narrowByPath = historyPaths.length > 0 && !historyPaths.includes('')
+  const matchFiles =
+    excludePaths.length > 0 || includePaths.some((path) => isGlob(path))
   const dataPath = ['repository', 'object', 'history']
   const repoNameWithOwner = `${owner}/${repo}`
 
-  let data,
-    allCommits,
+  let allCommits,
+    rangeIds,
+    since = lastRelease && lastRelease.created_at,
     includedIds = {}
 
-  if (includePaths.length > 0) {
+  if (lastRelease && config['commit-range'] === 'compare') {
+    const range = await findCommitsInRange({
+      context,
+      base: lastRelease.tag_name,
+      head: targetCommitish,
+    })
+
+    if (range.status === 'diverged') {
+      log({
+        context,
+        message: `${lastRelease.tag_name} is not an ancestor of ${targetCommitish}, using the commits since their merge base ${range.mergeBase}`,
+      })
+    }
+
+    if (range.commits.length === 0) {
+      log({
+        context,
+        message: `No commits between ${lastRelease.tag_name} and ${targetCommitish}`,
+      })
+      return { commits: [], pullRequests: [] }
+    }
+
+    rangeIds = new Set(range.commits.map((commit) => commit.sha))
+    // Commits of merged branches can be older than the last release, so the
+    // history is fetched since the oldest commit of the range
+    since = _.min(range.commits.map((commit) => commit.commit.committer.date))
+  }
+
+  if (narrowByPath) {
     var anyChanges = false
-    for (const path of includePaths) {
+    for (const path of historyPaths) {
       const pathData = await paginate(
         context.octokit.graphql,
         findCommitsWithPathChangesQuery,
-        lastRelease
-          ? { ...variables, since: lastRelease.created_at, path }
-          : { ...variables, path },
+        since ? { ...variables, since, path } : { ...variables, path },
         dataPath
       )
       const commitsWithPathChanges = _.get(pathData, [...dataPath, 'nodes'])
@@ -146,41 +319,72 @@ const findCommitsWithAssociatedPullRequests = async ({
     }
   }
 
-  if (lastRelease) {
-    log({
-      context,
-      message: `Fetching parent commits of ${targetCommitish} since ${lastRelease.created_at}`,
-    })
+  // The history fetched beforehand is reused when it goes back far enough
+  const fetchHistory = async (since) => {
+    if (
+      history &&
+      (!history.since || (since && new Date(history.since) <= new Date(since)))
+    ) {
+      return since
+        ? history.nodes.filter(
+            (commit) => new Date(commit.committedDate) >= new Date(since)
+          )
+        : history.nodes
+    }
 
-    data = await paginate(
+    const data = await paginate(
       context.octokit.graphql,
       findCommitsWithAssociatedPullRequestsQuery,
-      { ...variables, since: lastRelease.created_at },
+      since ? { ...variables, since } : variables,
       dataPath
     )
+    return _.get(data, [...dataPath, 'nodes'])
+  }
+
+  if (rangeIds) {
+    log({
+      context,
+      message: `Fetching parent commits of ${targetCommitish} since ${lastRelease.tag_name}`,
+    })
+
+    const rangeHistory = await fetchHistory(since)
+    allCommits = rangeHistory.filter((commit) => rangeIds.has(commit.oid))
+  } else if (lastRelease) {
+    log({
+      context,
+      message: `Fetching parent commits of ${targetCommitish} since ${lastRelease.created_at}`,
+    })
+
+    const releaseHistory = await fetchHistory(lastRelease.created_at)
     // GraphQL call is inclusive of commits from the specified dates.  This means the final
     // commit from the last tag is included, so we remove this here.
-    allCommits = _.get(data, [...dataPath, 'nodes']).filter(
+    allCommits = releaseHistory.filter(
       (commit) => commit.committedDate != lastRelease.created_at
     )
   } else {
     log({ context, message: `Fetching parent commits of ${targetCommitish}` })
 
-    data = await paginate(
-      context.octokit.graphql,
-      findCommitsWithAssociatedPullRequestsQuery,
-      variables,
-      dataPath
-    )
-    allCommits = _.get(data, [...dataPath, 'nodes'])
+    allCommits = await fetchHistory()
   }
 
-  const commits =
-    includePaths.length > 0
-      ? allCommits.filter((commit) =>
-          includePaths.some((path) => includedIds[path].has(commit.id))
-        )
-      : allCommits
+  let commits = narrowByPath
+    ? allCommits.filter((commit) =>
+        historyPaths.some((path) => includedIds[path].has(commit.id))
+      )
+    : allCommits
+
+  if (matchFiles) {
+    log({
+      context,
+      message: `Matching the files of ${commits.length} commits against the include and exclude paths`,
+    })
+    commits = await filterCommitsByFiles({
+      context,
+      commits,
+      includePaths,
+      excludePaths,
+    })
+  }
 
   const pullRequests = _.uniqBy(
     commits.flatMap((commit) => commit.associatedPullRequests.nodes),
@@ -192,10 +396,37 @@ const findCommitsWithAssociatedPullRequests = async ({
   return { commits, pullRequests }
 }
 
+// Merge commits of pull requests and branches merged from the command line
+const MERGE_COMMIT_REGEX =
+  /^Merge (pull request|branch|branches|remote-tracking branch|commit|tag) /
+const SKIP_CHANGELOG_REGEX = /\[skip changelog]/i
+
+/**
+ * Finds the commits that were pushed without a pull request of the
+ * repository, leaving out merge commits and `[skip changelog]` commits.
+ */
+const findCommitsWithoutPullRequests = ({ commits, repoNameWithOwner }) =>
+  commits.filter(
+    (commit) =>
+      !commit.associatedPullRequests.nodes.some(
+        (pr) => pr.baseRepository.nameWithOwner === repoNameWithOwner
+      ) &&
+      !MERGE_COMMIT_REGEX.test(commit.message) &&
+      !SKIP_CHANGELOG_REGEX.test(commit.message)
+  )
+
 exports.findCommitsWithAssociatedPullRequestsQuery =
   findCommitsWithAssociatedPullRequestsQuery
 
 exports.findCommitsWithPathChangesQuery = findCommitsWithPathChangesQuery
 
+exports.findCommitsInRange = findCommitsInRange
+
+exports.isAncestor = isAncestor
+
+exports.findCommitHistory = findCommitHistory
+
+exports.findCommitsWithoutPullRequests = findCommitsWithoutPullRequests
+
 exports.findCommitsWithAssociatedPullRequests =
   findCommitsWithAssociatedPullRequests
@@ -58,3 +58,4 @@ function joiValidationErrorsAsTable(error) {
 }
 
 exports.getConfig = getConfig
+exports.DEFAULT_CONFIG_NAME = DEFAULT_CONFIG_NAME
@@ -0,0 +1,97 @@
+const { template } = require('./template')
+
+const conventionalCommitRegex =
+  /^(?<type>\w+)(?:\((?<scope>[^()]+)\))?(?<breaking>!)?:\s+(?<description>\S.*)$/
+
+const breakingChangeFooterRegex = /^BREAKING[ -]CHANGE:\s/m
+
+/**
+ * Parses a Conventional Commit message, e.g. `feat(api)!: drop v1 endpoints`.
+ * The body is only used to look for a `BREAKING CHANGE:` footer.
+ * Returns `undefined` when the title does not follow the specification.
+ */
+const parseConventionalCommit = (title, body) => {
+  const match = conventionalCommitRegex.exec((title || '').trim())
+  if (!match) {
+    return
+  }
+
+  const { type, scope, breaking, description } = match.groups
+
+  return {
+    type: type.toLowerCase(),
+    scope: scope ? scope.trim() : undefined,
+    breaking: Boolean(breaking) || breakingChangeFooterRegex.test(body || ''),
+    description,
+  }
+}
+
+const getConventionalCommitLabels = ({ title, body }, config) => {
+  const conventionalCommits = config['conventional-commits']
+  if (!conventionalCommits.enabled) {
+    return []
+  }
+
+  const parsed = parseConventionalCommit(title, body)
+  if (!parsed) {
+    return []
+  }
+
+  const labels = []
+  const typeLabel = conventionalCommits.types[parsed.type]
+  if (typeLabel) {
+    labels.push(typeLabel)
+  }
+  if (parsed.scope && conventionalCommits['scope-label-template']) {
+    labels.push(
+      template(conventionalCommits['scope-label-template'], {
+        $SCOPE: parsed.scope,
+      })
+    )
+  }
+  return labels
+}
+
+const isBreakingChange = ({ title, body }, config) => {
+  if (!config['conventional-commits'].enabled) {
+    return false
+  }
+
+  const parsed = parseConventionalCommit(title, body)
+  return Boolean(parsed && parsed.breaking)
+}
+
+/**
+ * Adds the labels derived from the Conventional Commit titles to the pull
+ * requests, so they are categorized as if they were labeled by hand.
+ */
+const applyConventionalCommitLabels = (pullRequests, config) => {
+  if (!config['conventional-commits'].enabled) {
+    return pullRequests
+  }
+
+  return pullRequests.map((pullRequest) => {
+    const labels = pullRequest.labels.nodes
+    const missingLabels = getConventionalCommitLabels(
+      pullRequest,
+      config
+    ).filter((name) => !labels.some((label) => label.name === name))
+
+    if (missingLabels.length === 0) {
+      return pullRequest
+    }
+
+    return {
+      ...pullRequest,
+      labels: {
+        ...pullRequest.labels,
+        nodes: [...labels, ...missingLabels.map((name) => ({ name }))],
+      },
+    }
+  })
+}
+
+exports.parseConventionalCommit = parseConventionalCommit
+exports.getConventionalCommitLabels = getConventionalCommitLabels
+exports.isBreakingChange = isBreakingChange
+exports.applyConventionalCommitLabels = applyConventionalCommitLabels
@@ -6,6 +6,9 @@ const DEFAULT_CONFIG = Object.freeze({
   'tag-prefix': '',
   'change-template': `* $TITLE (#$NUMBER) @$AUTHOR`,
   'change-title-escapes': '',
+  'commit-template': '',
+  'commit-category': '',
+  'issue-template': `* $TITLE ($REFERENCE)`,
   'no-changes-template': `* No changes`,
   'version-template': `$MAJOR.$MINOR.$PATCH$PRERELEASE`,
   'version-resolver': {
@@ -15,13 +18,31 @@ const DEFAULT_CONFIG = Object.freeze({
     default: 'patch',
   },
   categories: [],
+  labels: [],
+  packages: [],
+  'check-labels': false,
+  'preview-comment': false,
   'exclude-labels': [],
   'include-labels': [],
   'include-paths': [],
+  'exclude-paths': [],
+  'commit-range': 'since',
   'exclude-contributors': [],
   'no-contributors-template': 'No contributors',
   replacers: [],
   autolabeler: [],
+  'autolabeler-exclusive-groups': [],
+  'autolabeler-issue-labels': [],
+  'autolabeler-skip-drafts': false,
+  'conventional-commits': {
+    enabled: false,
+    types: {
+      feat: 'feature',
+      fix: 'bug',
+    },
+    'scope-label-template': '',
+    'breaking-version': 'major',
+  },
   'sort-by': SORT_BY.mergedAt,
   'sort-direction': SORT_DIRECTIONS.descending,
   prerelease: false,
@@ -29,6 +50,11 @@ const DEFAULT_CONFIG = Object.freeze({
   'include-pre-releases': false,
   latest: 'true',
   'filter-by-commitish': false,
+  'previous-release-strategy': 'semver',
+  'include-tags': false,
+  'version-constraints': [],
+  'keep-edited-drafts': false,
+  'draft-key': '',
   commitish: '',
   'pull-request-limit': 5,
   'category-template': `## $TITLE`,
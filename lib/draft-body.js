@@ -0,0 +1,65 @@
+const crypto = require('node:crypto')
+
+const MANUAL_SECTION_REGEX =
+  /<!-- release-drafter:manual -->[\S\s]*?<!-- \/release-drafter:manual -->/g
+const BODY_HASH_REGEX = /\n*<!-- release-drafter:hash ([\da-f]+) -->\s*$/
+const DRAFT_KEY_REGEX = /<!-- release-drafter:draft-key (.+?) -->/
+
+/**
+ * Carries the manual sections of the draft over to the regenerated body, in
+ * order. The sections left without a counterpart in the body are appended.
+ */
+const mergeManualSections = (body, draftBody) => {
+  const manualSections = (draftBody || '').match(MANUAL_SECTION_REGEX) || []
+  let index = 0
+  const mergedBody = body.replace(MANUAL_SECTION_REGEX, (section) =>
+    index < manualSections.length ? manualSections[index++] : section
+  )
+
+  const unmatchedSections = manualSections.slice(index)
+  return unmatchedSections.length > 0
+    ? [mergedBody.trimEnd(), ...unmatchedSections].join('\n\n')
+    : mergedBody
+}
+
+// GitHub saves the bodies edited in the browser with Windows line endings
+const hashBody = (body) =>
+  crypto
+    .createHash('sha256')
+    .update(body.replace(/\r\n/g, '\n').trim())
+    .digest('hex')
+
+/**
+ * Appends the hash of the body, to tell later whether it has been edited.
+ */
+const signBody = (body) =>
+  `${body.trimEnd()}\n\n<!-- release-drafter:hash ${hashBody(body)} -->`
+
+/**
+ * Whether the body was edited since it was signed, the bodies that were never
+ * signed can't tell and are not considered edited.
+ */
+const isEditedBody = (body) => {
+  const match = (body || '').match(BODY_HASH_REGEX)
+  return Boolean(match) && match[1] !== hashBody(body.slice(0, match.index))
+}
+
+/**
+ * Appends the key of the config to the body, so that each config finds its own
+ * draft.
+ */
+const stampDraftKey = (body, draftKey) =>
+  draftKey
+    ? `${body.trimEnd()}\n\n<!-- release-drafter:draft-key ${draftKey} -->`
+    : body
+
+const findDraftKey = (body) => {
+  const match = (body || '').match(DRAFT_KEY_REGEX)
+  return match ? match[1] : ''
+}
+
+exports.mergeManualSections = mergeManualSections
+exports.signBody = signBody
+exports.isEditedBody = isEditedBody
+exports.stampDraftKey = stampDraftKey
+exports.findDraftKey = findDraftKey
@@ -0,0 +1,103 @@
+const _ = require('lodash')
+const core = require('@actions/core')
+const { log } = require('./log')
+const { runnerIsActions } = require('./utils')
+
+/**
+ * Lists the labels the config refers to, except for the scope labels of
+ * Conventional Commits which depend on the pull request.
+ */
+const findReferencedLabels = (config) => {
+  const versionResolver = config['version-resolver']
+  return _.uniq([
+    ...config.categories.flatMap((category) => category.labels),
+    ...['major', 'minor', 'patch'].flatMap(
+      (key) => versionResolver[key].labels
+    ),
+    ...config['exclude-labels'],
+    ...config['include-labels'],
+    ...config.autolabeler.map((autolabel) => autolabel.label),
+    ...config['autolabeler-exclusive-groups'].flatMap((group) => group.labels),
+    ...(config['conventional-commits'].enabled
+      ? Object.values(config['conventional-commits'].types).filter(Boolean)
+      : []),
+  ])
+}
+
+const isSameLabel = (name1, name2) =>
+  name1.toLowerCase() === name2.toLowerCase()
+
+const isUpToDate = (label, existingLabel) =>
+  label.name === existingLabel.name &&
+  (label.color === undefined ||
+    label.color.toLowerCase() === existingLabel.color.toLowerCase()) &&
+  (label.description === undefined ||
+    label.description === (existingLabel.description || ''))
+
+/**
+ * Creates or updates the labels declared in the config, and warns about the
+ * labels the config refers to without declaring them.
+ */
+const syncLabels = async ({ context, config }) => {
+  const labels = config.labels.map((label) =>
+    label.color ? { ...label, color: label.color.replace(/^#/, '') } : label
+  )
+
+  for (const name of findReferencedLabels(config)) {
+    if (!labels.some((label) => isSameLabel(label.name, name))) {
+      const message = `Label '${name}' is used in the config but not declared in labels`
+      log({ context, message })
+      if (runnerIsActions()) {
+        core.warning(message)
+      }
+    }
+  }
+
+  const existingLabels = await context.octokit.paginate(
+    context.octokit.issues.listLabelsForRepo.endpoint.merge(
+      context.repo({ per_page: 100 })
+    )
+  )
+
+  for (const label of labels) {
+    const existingLabel = existingLabels.find((existing) =>
+      isSameLabel(existing.name, label.name)
+    )
+    const parameters = _.omitBy(
+      { color: label.color, description: label.description },
+      _.isUndefined
+    )
+
+    if (!existingLabel) {
+      log({ context, message: `Creating label '${label.name}'` })
+      await context.octokit.issues.createLabel(
+        context.repo({ name: label.name, ...parameters })
+      )
+    } else if (!isUpToDate(label, existingLabel)) {
+      log({ context, message: `Updating label '${label.name}'` })
+      await context.octokit.issues.updateLabel(
+        context.repo({
+          name: existingLabel.name,
+          new_name: label.name,
+          ...parameters,
+        })
+      )
+    }
+  }
+}
+
+/**
+ * Labels are only synchronized from the default branch, like the config.
+ */
+const isDefaultBranchPush = (context) => {
+  const { ref, repository } = context.payload
+  return (
+    ref !== undefined &&
+    repository !== undefined &&
+    ref === `refs/heads/${repository.default_branch}`
+  )
+}
+
+exports.findReferencedLabels = findReferencedLabels
+exports.syncLabels = syncLabels
+exports.isDefaultBranchPush = isDefaultBranchPush
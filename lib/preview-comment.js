@@ -0,0 +1,165 @@
+const {
+  findReleases,
+  generateChangeLog,
+  categorizePullRequests,
+  resolveVersionKeyIncrement,
+} = require('./releases')
+const { applyConventionalCommitLabels } = require('./conventional-commits')
+const { getVersionInfo } = require('./versions')
+const {
+  findVersionRange,
+  clampVersionKeyIncrement,
+} = require('./version-constraints')
+const { template } = require('./template')
+const { log } = require('./log')
+
+const PREVIEW_COMMENT_MARKER = '<!-- release-drafter:preview -->'
+
+/**
+ * Converts the pull request of a webhook payload to the shape of the pull
+ * requests returned by the GraphQL API, as used to generate the changelog.
+ */
+const toChangeLogPullRequest = (pullRequest, labels) => {
+  const isBot = pullRequest.user.type === 'Bot'
+  return {
+    title: pullRequest.title,
+    number: pullRequest.number,
+    url: pullRequest.html_url,
+    body: pullRequest.body,
+    author: {
+      login: isBot
+        ? pullRequest.user.login.replace(/\[bot]$/, '')
+        : pullRequest.user.login,
+      __typename: isBot ? 'Bot' : 'User',
+      url: pullRequest.user.html_url,
+    },
+    labels: { nodes: labels.map((name) => ({ name })) },
+    baseRefName: pullRequest.base.ref,
+    headRefName: pullRequest.head.ref,
+    mergedAt: null,
+  }
+}
+
+const generatePreview = ({
+  context,
+  config,
+  pullRequest,
+  lastRelease,
+  versionRange,
+}) => {
+  const entry = generateChangeLog([pullRequest], { ...config, categories: [] })
+
+  if (!entry) {
+    return [
+      PREVIEW_COMMENT_MARKER,
+      '### Release notes preview',
+      'This pull request is excluded from the release notes.',
+    ].join('\n\n')
+  }
+
+  const [, categorizedPullRequests] = categorizePullRequests(
+    [pullRequest],
+    config
+  )
+  const categories = categorizedPullRequests
+    .filter((category) => category.pullRequests.length > 0)
+    .map((category) => category.title)
+
+  const versionKeyIncrement = clampVersionKeyIncrement({
+    context,
+    lastRelease,
+    versionKeyIncrement: resolveVersionKeyIncrement(
+      [pullRequest],
+      config,
+      config.prerelease
+    ),
+    versionRange,
+    tagPrefix: config['tag-prefix'],
+    preReleaseIdentifier: config['prerelease-identifier'],
+  })
+  const versionInfo = getVersionInfo(
+    lastRelease,
+    config['version-template'],
+    undefined,
+    versionKeyIncrement,
+    config['tag-prefix'],
+    config['prerelease-identifier']
+  )
+  const nextVersion = template(
+    config['tag-template'] || '$RESOLVED_VERSION',
+    versionInfo
+  )
+  const version = lastRelease
+    ? `${lastRelease.tag_name} → ${nextVersion}`
+    : nextVersion
+
+  return [
+    PREVIEW_COMMENT_MARKER,
+    '### Release notes preview',
+    `This pull request will appear in the next release as:\n\n${entry}`,
+    [
+      `**Category:** ${
+        categories.length > 0 ? categories.join(', ') : 'Uncategorized'
+      }`,
+      `**Version:** ${versionKeyIncrement} (${version})`,
+    ].join('\n'),
+  ].join('\n\n')
+}
+
+const createOrUpdatePreviewComment = async ({ context, config, labels }) => {
+  const pullRequest = context.payload.pull_request
+  const targetCommitish = `refs/heads/${pullRequest.base.ref}`
+  const versionRange = findVersionRange({ config, targetCommitish })
+
+  const { lastRelease } = await findReleases({
+    context,
+    targetCommitish,
+    filterByCommitish: config['filter-by-commitish'],
+    includePreReleases: Boolean(
+      config['include-pre-releases'] || config['prerelease-identifier']
+    ),
+    tagPrefix: config['tag-prefix'],
+    previousReleaseStrategy: config['previous-release-strategy'],
+    includeTags: config['include-tags'],
+    versionRange,
+  })
+
+  const [changeLogPullRequest] = applyConventionalCommitLabels(
+    [toChangeLogPullRequest(pullRequest, labels)],
+    config
+  )
+  const body = generatePreview({
+    context,
+    config,
+    pullRequest: changeLogPullRequest,
+    lastRelease,
+    versionRange,
+  })
+
+  const comments = await context.octokit.paginate(
+    context.octokit.issues.listComments.endpoint.merge(
+      context.issue({ issue_number: pullRequest.number, per_page: 100 })
+    )
+  )
+  const previewComment = comments.find(
+    (comment) => comment.body && comment.body.startsWith(PREVIEW_COMMENT_MARKER)
+  )
+
+  if (previewComment) {
+    if (previewComment.body === body) {
+      return
+    }
+    log({ context, message: 'Updating release notes preview comment' })
+    return context.octokit.issues.updateComment(
+      context.repo({ comment_id: previewComment.id, body })
+    )
+  }
+
+  log({ context, message: 'Creating release notes preview comment' })
+  return context.octokit.issues.createComment(
+    context.issue({ issue_number: pullRequest.number, body })
+  )
+}
+
+exports.generatePreview = generatePreview
+exports.createOrUpdatePreviewComment = createOrUpdatePreviewComment
@@ -1,8 +1,26 @@
+const _ = require('lodash')
 const compareVersions = require('compare-versions')
 const regexEscape = require('escape-string-regexp')
 const core = require('@actions/core')
 
 const { getVersionInfo } = require('./versions')
+const { isBreakingChange } = require('./conventional-commits')
+const { findCommitsWithoutPullRequests, isAncestor } = require('./commits')
+const { findTags, toTagReleases } = require('./tags')
+const { findCoAuthors } = require('./co-authors')
+const {
+  mergeManualSections,
+  signBody,
+  isEditedBody,
+  stampDraftKey,
+  findDraftKey,
+} = require('./draft-body')
+const {
+  findVersionRange,
+  isReleaseInVersionRange,
+  clampVersionKeyIncrement,
+  findFirstVersionInRange,
+} = require('./version-constraints')
 const { template } = require('./template')
 const { log } = require('./log')
 
@@ -25,15 +43,9 @@ const sortReleases = (releases, tagPrefix) => {
 // GitHub API currently returns a 500 HTTP response if you attempt to fetch over 1000 releases.
 const RELEASE_COUNT_LIMIT = 1000
 
-const findReleases = async ({
-  context,
-  targetCommitish,
-  filterByCommitish,
-  includePreReleases,
-  tagPrefix,
-}) => {
+const listReleases = async ({ context }) => {
   let releaseCount = 0
-  let releases = await context.octokit.paginate(
+  const releases = await context.octokit.paginate(
     context.octokit.repos.listReleases.endpoint.merge(
       context.repo({
         per_page: 100,
@@ -50,28 +62,233 @@ const findReleases = async ({
 
   log({ context, message: `Found ${releases.length} releases` })
 
+  return releases
+}
+
+/**
+ * Finds the release of the greatest tag matching `isLastRelease`, without
+ * listing all the releases. Each tag costs an API call, so the tags failing
+ * `isCandidateTag` are not looked up.
+ */
+const findLastReleaseByTag = async ({
+  context,
+  tagPrefix,
+  isCandidateTag,
+  isLastRelease,
+}) => {
+  const tags = toTagReleases({
+    tags: await findTags({ context, tagPrefix }),
+    releases: [],
+    tagPrefix,
+  })
+  const sortedTags = sortReleases(
+    tags.filter((tag) => isCandidateTag(tag)),
+    tagPrefix
+  ).reverse()
+
+  for (const { tag_name: tag } of sortedTags) {
+    try {
+      const { data: release } = await context.octokit.repos.getReleaseByTag(
+        context.repo({ tag })
+      )
+      if (await isLastRelease(release)) {
+        return release
+      }
+    } catch (error) {
+      // tags created without a release
+      if (error.status !== 404) throw error
+    }
+  }
+}
+
+/**
+ * Finds the most recently created release whose tag is an ancestor of
+ * `targetCommitish`, so that maintenance branches use their own releases.
+ */
+const findAncestorRelease = async ({ context, releases, targetCommitish }) => {
+  const recentReleases = [...releases].sort(
+    (r1, r2) => new Date(r2.created_at) - new Date(r1.created_at)
+  )
+
+  for (const release of recentReleases) {
+    if (
+      await isAncestor({
+        context,
+        base: release.tag_name,
+        head: targetCommitish,
+      })
+    ) {
+      return release
+    }
+    log({
+      context,
+      message: `Skipping release ${release.tag_name}, its tag is not an ancestor of ${targetCommitish}`,
+    })
+  }
+}
+
+/**
+ * Whether the release belongs to the releases of the config on
+ * `targetCommitish`.
+ */
+const isTargetRelease = ({
+  release,
+  targetCommitish,
+  filterByCommitish,
+  tagPrefix,
+  versionRange,
+}) => {
   // `refs/heads/branch` and `branch` are the same thing in this context
   const headRefRegex = /^refs\/heads\//
-  const targetCommitishName = targetCommitish.replace(headRefRegex, '')
-  const commitishFilteredReleases = filterByCommitish
-    ? releases.filter(
-        (r) =>
-          targetCommitishName === r.target_commitish.replace(headRefRegex, '')
-      )
-    : releases
-  const filteredReleases = tagPrefix
-    ? commitishFilteredReleases.filter((r) => r.tag_name.startsWith(tagPrefix))
-    : commitishFilteredReleases
+  return (
+    (!filterByCommitish ||
+      targetCommitish.replace(headRefRegex, '') ===
+        release.target_commitish.replace(headRefRegex, '')) &&
+    (!tagPrefix || release.tag_name.startsWith(tagPrefix)) &&
+    isReleaseInVersionRange({ release, tagPrefix, versionRange })
+  )
+}
+
+/**
+ * Lists the drafts the config would update, as listed, the most recently
+ * created first.
+ */
+const findDrafts = ({
+  releases,
+  targetCommitish,
+  filterByCommitish,
+  includePreReleases,
+  tagPrefix,
+  versionRange,
+  draftKey = '',
+}) =>
+  releases.filter(
+    (release) =>
+      release.draft &&
+      release.prerelease === includePreReleases &&
+      // Drafts of other configs are told apart by their key, if any
+      findDraftKey(release.body) === draftKey &&
+      isTargetRelease({
+        release,
+        targetCommitish,
+        filterByCommitish,
+        tagPrefix,
+        versionRange,
+      })
+  )
+
+const findReleases = async ({
+  context,
+  releases,
+  targetCommitish,
+  filterByCommitish,
+  includePreReleases,
+  tagPrefix,
+  previousReleaseStrategy = 'semver',
+  includeTags = false,
+  versionRange,
+  draftKey = '',
+}) => {
+  // The releases listed once can be shared by the packages of a monorepo
+  if (!releases) {
+    releases = await listReleases({ context })
+  }
+  const isListTruncated = releases.length >= RELEASE_COUNT_LIMIT
+
+  if (includeTags) {
+    const tagReleases = toTagReleases({
+      tags: await findTags({ context, tagPrefix }),
+      releases,
+      tagPrefix,
+    })
+    log({
+      context,
+      message: `Found ${tagReleases.length} tags without release`,
+    })
+    releases = [...releases, ...tagReleases]
+  }
+
+  const isConfigRelease = (release) =>
+    isTargetRelease({
+      release,
+      targetCommitish,
+      filterByCommitish,
+      tagPrefix,
+      versionRange,
+    })
+  const isSelectedRelease = (r) =>
+    !r.draft && (!r.prerelease || includePreReleases)
   const sortedSelectedReleases = sortReleases(
-    filteredReleases.filter(
-      (r) => !r.draft && (!r.prerelease || includePreReleases)
-    ),
+    releases.filter((r) => isConfigRelease(r) && isSelectedRelease(r)),
     tagPrefix
   )
-  const draftRelease = filteredReleases.find(
-    (r) => r.draft && r.prerelease === includePreReleases
-  )
-  const lastRelease = sortedSelectedReleases[sortedSelectedReleases.length - 1]
+  const draftFilters = {
+    releases,
+    targetCommitish,
+    filterByCommitish,
+    includePreReleases,
+    tagPrefix,
+    versionRange,
+  }
+  let drafts = findDrafts({ ...draftFilters, draftKey })
+  // The drafts created before the config had a key are adopted, and get the
+  // key when updated
+  if (drafts.length === 0 && draftKey) {
+    drafts = findDrafts({ ...draftFilters, draftKey: '' })
+    if (drafts.length > 0) {
+      log({
+        context,
+        message: `No draft release with draft key ${draftKey}, adopting the draft releases without key`,
+      })
+    }
+  }
+  // The oldest draft is kept, as when removing the duplicate drafts
+  const [draftRelease, ...duplicateDrafts] = _.sortBy(drafts, 'id')
+  if (duplicateDrafts.length > 0) {
+    log({
+      context,
+      message: `Found ${drafts.length} draft releases${
+        draftKey ? ` with draft key ${draftKey}` : ''
+      }, updating ${draftRelease.tag_name}: ${duplicateDrafts
+        .map((r) => r.tag_name)
+        .join(', ')} should be deleted`,
+    })
+  }
+  const isAncestryStrategy = previousReleaseStrategy === 'ancestry'
+  let lastRelease = isAncestryStrategy
+    ? await findAncestorRelease({
+        context,
+        releases: sortedSelectedReleases,
+        targetCommitish,
+      })
+    : sortedSelectedReleases[sortedSelectedReleases.length - 1]
+
+  // The listing stops at the most recently created releases, which might not
+  // include the last release when there are many prereleases
+  if (isListTruncated && !includeTags) {
+    log({
+      context,
+      message: `Found ${RELEASE_COUNT_LIMIT} releases or more, looking up the last release by tag`,
+    })
+    lastRelease =
+      (await findLastReleaseByTag({
+        context,
+        tagPrefix,
+        // tags tell prereleases and versions apart without an API call
+        isCandidateTag: (tag) =>
+          isSelectedRelease(tag) &&
+          isReleaseInVersionRange({ release: tag, tagPrefix, versionRange }),
+        isLastRelease: async (r) =>
+          isSelectedRelease(r) &&
+          isConfigRelease(r) &&
+          (!isAncestryStrategy ||
+            (await isAncestor({
+              context,
+              base: r.tag_name,
+              head: targetCommitish,
+            }))),
+      })) || lastRelease
+  }
 
   if (draftRelease) {
     log({ context, message: `Draft release: ${draftRelease.tag_name}` })
@@ -108,6 +325,16 @@ const contributorsSentence = ({ commits, pullRequests, config }) => {
     }
   }
 
+  for (const coAuthor of findCoAuthors(commits)) {
+    if (coAuthor.login) {
+      if (!excludeContributors.includes(coAuthor.login)) {
+        contributors.add(`@${coAuthor.login}`)
+      }
+    } else if (!excludeContributors.includes(coAuthor.name)) {
+      contributors.add(coAuthor.name)
+    }
+  }
+
   for (const pullRequest of pullRequests) {
     if (
       pullRequest.author &&
@@ -218,28 +445,90 @@ const categorizePullRequests = (pullRequests, config) => {
   return [uncategorizedPullRequests, categorizedPullRequests]
 }
 
-const generateChangeLog = (mergedPullRequests, config) => {
-  if (mergedPullRequests.length === 0) {
+const escapeChangeTitle = (title, config) =>
+  // If config['change-title-escapes'] contains backticks, then they will be escaped along with content contained inside backticks
+  // If not, the entire backtick block is matched so that it will become a markdown code block without escaping any of its content
+  title.replace(
+    new RegExp(`[${regexEscape(config['change-title-escapes'])}]|\`.*?\``, 'g'),
+    (match) => {
+      if (match.length > 1) return match
+      if (match == '@' || match == '#') return `${match}<!---->`
+      return `\\${match}`
+    }
+  )
+
+// Pull requests may close issues of other repositories
+const toIssueReference = (issue, pullRequest) =>
+  pullRequest.baseRepository &&
+  issue.repository.nameWithOwner !== pullRequest.baseRepository.nameWithOwner
+    ? `${issue.repository.nameWithOwner}#${issue.number}`
+    : `#${issue.number}`
+
+const getClosingIssues = (pullRequest) =>
+  pullRequest.closingIssuesReferences
+    ? pullRequest.closingIssuesReferences.nodes
+    : []
+
+/**
+ * Lists the issues closed by the pull requests of the release, categorized by
+ * their own labels.
+ */
+const generateFixedIssues = (mergedPullRequests, config) => {
+  const issues = _.uniqBy(
+    mergedPullRequests
+      .filter(getFilterExcludedPullRequests(config['exclude-labels']))
+      .filter(getFilterIncludedPullRequests(config['include-labels']))
+      .flatMap((pullRequest) =>
+        getClosingIssues(pullRequest).map((issue) => ({
+          ...issue,
+          reference: toIssueReference(issue, pullRequest),
+        }))
+      ),
+    'url'
+  )
+
+  // The labels of the issues are not those of the pull requests to filter
+  const [uncategorizedIssues, categorizedIssues] = categorizePullRequests(
+    issues,
+    { ...config, 'exclude-labels': [], 'include-labels': [] }
+  )
+
+  const issuesToString = (issues) =>
+    issues
+      .map((issue) =>
+        template(config['issue-template'], {
+          $TITLE: escapeChangeTitle(issue.title, config),
+          $NUMBER: issue.number,
+          $URL: issue.url,
+          $REFERENCE: issue.reference,
+        })
+      )
+      .join('\n')
+
+  return [
+    issuesToString(uncategorizedIssues),
+    ...categorizedIssues
+      .filter((category) => category.pullRequests.length > 0)
+      .map((category) =>
+        [
+          template(config['category-template'], { $TITLE: category.title }),
+          issuesToString(category.pullRequests),
+        ].join('\n\n')
+      ),
+  ]
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+const generateChangeLog = (mergedPullRequests, config, commits = []) => {
+  if (mergedPullRequests.length === 0 && commits.length === 0) {
     return config['no-changes-template']
   }
 
   const [uncategorizedPullRequests, categorizedPullRequests] =
     categorizePullRequests(mergedPullRequests, config)
 
-  const escapeTitle = (title) =>
-    // If config['change-title-escapes'] contains backticks, then they will be escaped along with content contained inside backticks
-    // If not, the entire backtick block is matched so that it will become a markdown code block without escaping any of its content
-    title.replace(
-      new RegExp(
-        `[${regexEscape(config['change-title-escapes'])}]|\`.*?\``,
-        'g'
-      ),
-      (match) => {
-        if (match.length > 1) return match
-        if (match == '@' || match == '#') return `${match}<!---->`
-        return `\\${match}`
-      }
-    )
+  const escapeTitle = (title) => escapeChangeTitle(title, config)
 
   const pullRequestToString = (pullRequests) =>
     pullRequests
@@ -253,6 +542,7 @@ const generateChangeLog = (mergedPullRequests, config) => {
               : pullRequest.author.login
         }
 
+        // the spaces left before an empty `$ISSUES` are trimmed
         return template(config['change-template'], {
           $TITLE: escapeTitle(pullRequest.title),
           $NUMBER: pullRequest.number,
@@ -261,14 +551,44 @@ const generateChangeLog = (mergedPullRequests, config) => {
           $URL: pullRequest.url,
           $BASE_REF_NAME: pullRequest.baseRefName,
           $HEAD_REF_NAME: pullRequest.headRefName,
-        })
+          $ISSUES: getClosingIssues(pullRequest)
+            .map((issue) => toIssueReference(issue, pullRequest))
+            .join(', '),
+        }).replace(/[\t ]+$/, '')
       })
       .join('\n')
 
+  const commitToString = (commits) =>
+    commits
+      .map((commit) =>
+        template(config['commit-template'], {
+          $SHA: commit.oid,
+          $SHORT_SHA: commit.oid.slice(0, 7),
+          $MESSAGE_HEADLINE: escapeTitle(commit.message.split('\n')[0]),
+          $AUTHOR: commit.author.user
+            ? commit.author.user.login
+            : commit.author.name,
+          $URL: commit.url,
+        })
+      )
+      .join('\n')
+
+  // Without a category of their own, commits are listed with the
+  // uncategorized pull requests
+  const uncategorizedCommits = config['commit-category'] ? [] : commits
+
   const changeLog = []
 
-  if (uncategorizedPullRequests.length > 0) {
-    changeLog.push(pullRequestToString(uncategorizedPullRequests), '\n\n')
+  if (uncategorizedPullRequests.length > 0 || uncategorizedCommits.length > 0) {
+    changeLog.push(
+      [
+        pullRequestToString(uncategorizedPullRequests),
+        commitToString(uncategorizedCommits),
+      ]
+        .filter(Boolean)
+        .join('\n'),
+      '\n\n'
+    )
   }
 
   for (const [index, category] of categorizedPullRequests.entries()) {
@@ -308,6 +628,18 @@ const generateChangeLog = (mergedPullRequests, config) => {
     if (index + 1 !== categorizedPullRequests.length) changeLog.push('\n\n')
   }
 
+  if (config['commit-category'] && commits.length > 0) {
+    return [
+      changeLog.join('').trim(),
+      template(config['category-template'], {
+        $TITLE: config['commit-category'],
+      }),
+      commitToString(commits),
+    ]
+      .filter(Boolean)
+      .join('\n\n')
+  }
+
   return changeLog.join('').trim()
 }
 
@@ -335,7 +667,12 @@ const resolveVersionKeyIncrement = (
   const keys = mergedPullRequests
     .filter(getFilterExcludedPullRequests(config['exclude-labels']))
     .filter(getFilterIncludedPullRequests(config['include-labels']))
-    .flatMap((pr) => pr.labels.nodes.map((node) => labelToKeyMap[node.name]))
+    .flatMap((pr) => [
+      ...pr.labels.nodes.map((node) => labelToKeyMap[node.name]),
+      isBreakingChange(pr, config)
+        ? config['conventional-commits']['breaking-version']
+        : undefined,
+    ])
     .filter(Boolean)
 
   core.debug('keys: ' + JSON.stringify(keys))
@@ -381,7 +718,17 @@ const generateReleaseInfo = ({
     body,
     {
       $PREVIOUS_TAG: lastRelease ? lastRelease.tag_name : '',
-      $CHANGES: generateChangeLog(mergedPullRequests, config),
+      $CHANGES: generateChangeLog(
+        mergedPullRequests,
+        config,
+        config['commit-template']
+          ? findCommitsWithoutPullRequests({
+              commits,
+              repoNameWithOwner: `${owner}/${repo}`,
+            })
+          : []
+      ),
+      $FIXED_ISSUES: generateFixedIssues(mergedPullRequests, config),
       $CONTRIBUTORS: contributorsSentence({
         commits,
         pullRequests: mergedPullRequests,
@@ -393,11 +740,19 @@ const generateReleaseInfo = ({
     config.replacers
   )
 
-  const versionKeyIncrement = resolveVersionKeyIncrement(
-    mergedPullRequests,
-    config,
-    isPreRelease
-  )
+  const versionRange = findVersionRange({ config, targetCommitish })
+  const versionKeyIncrement = clampVersionKeyIncrement({
+    context,
+    lastRelease,
+    versionKeyIncrement: resolveVersionKeyIncrement(
+      mergedPullRequests,
+      config,
+      isPreRelease
+    ),
+    versionRange,
+    tagPrefix: config['tag-prefix'],
+    preReleaseIdentifier: config['prerelease-identifier'],
+  })
 
   core.debug('versionKeyIncrement: ' + versionKeyIncrement)
 
@@ -406,7 +761,10 @@ const generateReleaseInfo = ({
     config['version-template'],
     // Use the first override parameter to identify
     // a version, from the most accurate to the least
-    version || tag || name,
+    version ||
+      tag ||
+      name ||
+      findFirstVersionInRange({ context, lastRelease, versionRange }),
     versionKeyIncrement,
     config['tag-prefix'],
     config['prerelease-identifier']
@@ -468,13 +826,18 @@ const generateReleaseInfo = ({
   }
 }
 
-const createRelease = ({ context, releaseInfo }) => {
+const finalizeBody = (body, config) => {
+  const stampedBody = stampDraftKey(body, config['draft-key'])
+  return config['keep-edited-drafts'] ? signBody(stampedBody) : stampedBody
+}
+
+const createRelease = ({ context, releaseInfo, config }) => {
   return context.octokit.repos.createRelease(
     context.repo({
       target_commitish: releaseInfo.targetCommitish,
       name: releaseInfo.name,
       tag_name: releaseInfo.tag,
-      body: releaseInfo.body,
+      body: finalizeBody(releaseInfo.body, config),
       draft: releaseInfo.draft,
       prerelease: releaseInfo.prerelease,
       make_latest: releaseInfo.make_latest,
@@ -482,7 +845,24 @@ const createRelease = ({ context, releaseInfo }) => {
   )
 }
 
-const updateRelease = ({ context, draftRelease, releaseInfo }) => {
+const updateRelease = async ({
+  context,
+  draftRelease,
+  releaseInfo,
+  config,
+}) => {
+  if (config['keep-edited-drafts'] && isEditedBody(draftRelease.body)) {
+    log({
+      context,
+      message: `Keeping draft release ${draftRelease.tag_name}, its body was edited`,
+    })
+    return { data: draftRelease }
+  }
+
+  const body = finalizeBody(
+    mergeManualSections(releaseInfo.body, draftRelease.body),
+    config
+  )
   const updateReleaseParameters = updateDraftReleaseParameters({
     name: releaseInfo.name || draftRelease.name,
     tag_name: releaseInfo.tag || draftRelease.tag_name,
@@ -492,7 +872,7 @@ const updateRelease = ({ context, draftRelease, releaseInfo }) => {
   return context.octokit.repos.updateRelease(
     context.repo({
       release_id: draftRelease.id,
-      body: releaseInfo.body,
+      body,
       draft: releaseInfo.draft,
       prerelease: releaseInfo.prerelease,
       make_latest: releaseInfo.make_latest,
@@ -501,6 +881,63 @@ const updateRelease = ({ context, draftRelease, releaseInfo }) => {
   )
 }
 
+/**
+ * Concurrent runs may each create a draft, so the drafts are listed again after
+ * creating one. Every run keeps the oldest draft, with the lowest id, and
+ * deletes the others. The run updating the draft of another run resolves its
+ * release notes again with `resolveReleaseInfo`, as the other run may have
+ * seen more recent commits, so the last update has the latest content.
+ */
+const removeDuplicateDrafts = async ({
+  context,
+  config,
+  releaseInfo,
+  resolveReleaseInfo,
+  createReleaseResponse,
+  ...filters
+}) => {
+  const createdRelease = createReleaseResponse.data
+  const releases = await listReleases({ context })
+  const drafts = _.sortBy(
+    _.uniqBy([createdRelease, ...findDrafts({ releases, ...filters })], 'id'),
+    'id'
+  )
+  if (drafts.length === 1) {
+    return { response: createReleaseResponse, releaseInfo }
+  }
+
+  const [keptDraft, ...duplicateDrafts] = drafts
+  log({
+    context,
+    message: `Found ${drafts.length} draft releases created concurrently, keeping ${keptDraft.id}`,
+  })
+
+  let response = createReleaseResponse
+  if (keptDraft.id !== createdRelease.id) {
+    releaseInfo = await resolveReleaseInfo()
+    response = await updateRelease({
+      context,
+      draftRelease: keptDraft,
+      releaseInfo,
+      config,
+    })
+  }
+
+  for (const duplicateDraft of duplicateDrafts) {
+    log({ context, message: `Deleting draft release ${duplicateDraft.id}` })
+    try {
+      await context.octokit.repos.deleteRelease(
+        context.repo({ release_id: duplicateDraft.id })
+      )
+    } catch (error) {
+      // deleted by a concurrent run
+      if (error.status !== 404) throw error
+    }
+  }
+
+  return { response, releaseInfo }
+}
+
 function updateDraftReleaseParameters(parameters) {
   const updateReleaseParameters = { ...parameters }
 
@@ -521,8 +958,15 @@ function updateDraftReleaseParameters(parameters) {
   return updateReleaseParameters
 }
 
+exports.listReleases = listReleases
 exports.findReleases = findReleases
+exports.getFilterExcludedPullRequests = getFilterExcludedPullRequests
+exports.getFilterIncludedPullRequests = getFilterIncludedPullRequests
+exports.categorizePullRequests = categorizePullRequests
 exports.generateChangeLog = generateChangeLog
+exports.generateFixedIssues = generateFixedIssues
+exports.resolveVersionKeyIncrement = resolveVersionKeyIncrement
 exports.generateReleaseInfo = generateReleaseInfo
 exports.createRelease = createRelease
 exports.updateRelease = updateRelease
+exports.removeDuplicateDrafts = removeDuplicateDrafts
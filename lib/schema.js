@@ -8,6 +8,95 @@ const {
   validateCategories,
 } = require('./template')
 const merge = require('deepmerge')
+const semver = require('semver')
+
+const sizeRange = Joi.object().keys({
+  min: Joi.number().integer().min(0),
+  max: Joi.number().integer().min(0),
+})
+
+// Matchers of an autolabeler entry, `all`, `any` and `not` nest further matchers
+const autolabelerConditionKeys = {
+  files: Joi.array().items(Joi.string()).single().default([]),
+  branch: Joi.array().items(Joi.string()).single().default([]),
+  title: Joi.array().items(Joi.string()).single().default([]),
+  body: Joi.array().items(Joi.string()).single().default([]),
+  patch: Joi.array().items(Joi.string()).single().default([]),
+  'base-branch': Joi.array().items(Joi.string()).single().default([]),
+  author: Joi.array().items(Joi.string()).single().default([]),
+  'author-association': Joi.array()
+    .items(
+      Joi.string().valid(
+        'COLLABORATOR',
+        'CONTRIBUTOR',
+        'FIRST_TIMER',
+        'FIRST_TIME_CONTRIBUTOR',
+        'MANNEQUIN',
+        'MEMBER',
+        'NONE',
+        'OWNER'
+      )
+    )
+    .single()
+    .default([]),
+  'author-type': Joi.array()
+    .items(Joi.string().valid('Bot', 'User', 'Organization', 'Mannequin'))
+    .single()
+    .default([]),
+  draft: Joi.boolean(),
+  size: Joi.object()
+    .keys({
+      lines: sizeRange,
+      additions: sizeRange,
+      deletions: sizeRange,
+      'changed-files': sizeRange,
+      ignore: Joi.array().items(Joi.string()).single().default([]),
+    })
+    .or('lines', 'additions', 'deletions', 'changed-files'),
+  all: Joi.array().items(Joi.link('#autolabelerCondition')).single().min(1),
+  any: Joi.array().items(Joi.link('#autolabelerCondition')).single().min(1),
+  not: Joi.link('#autolabelerCondition'),
+}
+
+// Options a package can override, validated with the whole config
+const PACKAGE_KEYS = [
+  'tag-prefix',
+  'include-paths',
+  'exclude-paths',
+  'name-template',
+  'tag-template',
+  'version-template',
+  'template',
+  'header',
+  'footer',
+  'category-template',
+  'change-template',
+  'change-title-escapes',
+  'no-changes-template',
+  'commit-template',
+  'commit-category',
+  'issue-template',
+  'categories',
+  'version-resolver',
+  'exclude-labels',
+  'include-labels',
+  'exclude-contributors',
+  'no-contributors-template',
+  'replacers',
+  'sort-by',
+  'sort-direction',
+  'prerelease',
+  'prerelease-identifier',
+  'include-pre-releases',
+  'filter-by-commitish',
+  'previous-release-strategy',
+  'include-tags',
+  'version-constraints',
+]
+
+const autolabelerCondition = Joi.object()
+  .keys(autolabelerConditionKeys)
+  .id('autolabelerCondition')
 
 const schema = (context) => {
   const defaultBranch = _.get(
@@ -27,6 +116,16 @@ const schema = (context) => {
         .allow('')
         .default(DEFAULT_CONFIG['change-title-escapes']),
 
+      'commit-template': Joi.string()
+        .allow('')
+        .default(DEFAULT_CONFIG['commit-template']),
+
+      'commit-category': Joi.string()
+        .allow('')
+        .default(DEFAULT_CONFIG['commit-category']),
+
+      'issue-template': Joi.string().default(DEFAULT_CONFIG['issue-template']),
+
       'no-changes-template': Joi.string().default(
         DEFAULT_CONFIG['no-changes-template']
       ),
@@ -59,6 +158,14 @@ const schema = (context) => {
         .items(Joi.string())
         .default(DEFAULT_CONFIG['include-paths']),
 
+      'exclude-paths': Joi.array()
+        .items(Joi.string())
+        .default(DEFAULT_CONFIG['exclude-paths']),
+
+      'commit-range': Joi.string()
+        .valid('since', 'compare')
+        .default(DEFAULT_CONFIG['commit-range']),
+
       'exclude-contributors': Joi.array()
         .items(Joi.string())
         .default(DEFAULT_CONFIG['exclude-contributors']),
@@ -89,6 +196,35 @@ const schema = (context) => {
         DEFAULT_CONFIG['filter-by-commitish']
       ),
 
+      'previous-release-strategy': Joi.string()
+        .valid('semver', 'ancestry')
+        .default(DEFAULT_CONFIG['previous-release-strategy']),
+
+      'include-tags': Joi.boolean().default(DEFAULT_CONFIG['include-tags']),
+
+      'version-constraints': Joi.array()
+        .items(
+          Joi.object().keys({
+            reference: Joi.string().required(),
+            range: Joi.string()
+              .required()
+              .custom((range, helpers) =>
+                semver.validRange(range) ? range : helpers.error('any.invalid')
+              ),
+          })
+        )
+        .unique('reference')
+        .default(DEFAULT_CONFIG['version-constraints']),
+
+      'keep-edited-drafts': Joi.boolean().default(
+        DEFAULT_CONFIG['keep-edited-drafts']
+      ),
+
+      'draft-key': Joi.string()
+        .allow('')
+        .pattern(/^[\w.-]*$/)
+        .default(DEFAULT_CONFIG['draft-key']),
+
       'include-pre-releases': Joi.boolean().default(
         DEFAULT_CONFIG['include-pre-releases']
       ),
@@ -119,14 +255,50 @@ const schema = (context) => {
         .items(
           Joi.object().keys({
             label: Joi.string().required(),
-            files: Joi.array().items(Joi.string()).single().default([]),
-            branch: Joi.array().items(Joi.string()).single().default([]),
-            title: Joi.array().items(Joi.string()).single().default([]),
-            body: Joi.array().items(Joi.string()).single().default([]),
+            sync: Joi.boolean().default(false),
+            ...autolabelerConditionKeys,
           })
         )
         .default(DEFAULT_CONFIG.autolabeler),
 
+      'autolabeler-exclusive-groups': Joi.array()
+        .items(
+          Joi.object().keys({
+            name: Joi.string().required(),
+            labels: Joi.array().items(Joi.string()).min(2).required(),
+          })
+        )
+        .default(DEFAULT_CONFIG['autolabeler-exclusive-groups']),
+
+      'autolabeler-issue-labels': Joi.array()
+        .items(Joi.string())
+        .default(DEFAULT_CONFIG['autolabeler-issue-labels']),
+
+      'autolabeler-skip-drafts': Joi.boolean().default(
+        DEFAULT_CONFIG['autolabeler-skip-drafts']
+      ),
+
+      'conventional-commits': Joi.object()
+        .keys({
+          enabled: Joi.boolean().default(
+            DEFAULT_CONFIG['conventional-commits'].enabled
+          ),
+          types: Joi.object()
+            .pattern(Joi.string(), Joi.string().allow(''))
+            .default(DEFAULT_CONFIG['conventional-commits'].types),
+          'scope-label-template': Joi.string()
+            .allow('')
+            .default(
+              DEFAULT_CONFIG['conventional-commits']['scope-label-template']
+            ),
+          'breaking-version': Joi.string()
+            .valid('major', 'minor', 'patch')
+            .default(
+              DEFAULT_CONFIG['conventional-commits']['breaking-version']
+            ),
+        })
+        .default(DEFAULT_CONFIG['conventional-commits']),
+
       categories: Joi.array()
         .items(
           Joi.object()
@@ -143,6 +315,35 @@ const schema = (context) => {
         )
         .default(DEFAULT_CONFIG.categories),
 
+      labels: Joi.array()
+        .items(
+          Joi.object().keys({
+            name: Joi.string().required(),
+            color: Joi.string().pattern(/^#?[\dA-Fa-f]{6}$/),
+            description: Joi.string().allow('').max(100),
+          })
+        )
+        .unique('name', { ignoreUndefined: true })
+        .default(DEFAULT_CONFIG.labels),
+
+      'check-labels': Joi.boolean().default(DEFAULT_CONFIG['check-labels']),
+
+      packages: Joi.array()
+        .items(
+          Joi.object().keys({
+            ...Object.fromEntries(PACKAGE_KEYS.map((key) => [key, Joi.any()])),
+            name: Joi.string().required(),
+            'tag-prefix': Joi.string().required(),
+          })
+        )
+        .unique('name')
+        .unique('tag-prefix')
+        .default(DEFAULT_CONFIG.packages),
+
+      'preview-comment': Joi.boolean().default(
+        DEFAULT_CONFIG['preview-comment']
+      ),
+
       'version-resolver': Joi.object()
         .keys({
           major: Joi.object({
@@ -185,6 +386,7 @@ const schema = (context) => {
       ignoreUndefined: true,
       override: true,
     })
+    .shared(autolabelerCondition)
 }
 
 const validateSchema = (context, repoConfig) => {
@@ -216,6 +418,16 @@ const validateSchema = (context, repoConfig) => {
     config.autolabeler = []
   }
 
+  config.packages = config.packages.map(({ name, ...overrides }) => ({
+    ...validateSchema(context, {
+      ..._.omit(repoConfig, ['packages', 'autolabeler']),
+      // the drafts of each package are told apart by the prefix of their tag
+      'tag-template': `${overrides['tag-prefix']}$RESOLVED_VERSION`,
+      ...overrides,
+    }),
+    name,
+  }))
+
   return config
 }
 
@@ -0,0 +1,86 @@
+const semver = require('semver')
+const { paginate } = require('./pagination')
+
+const findTagsQuery = /* GraphQL */ `
+  query findTags(
+    $name: String!
+    $owner: String!
+    $query: String
+    $after: String
+  ) {
+    repository(name: $name, owner: $owner) {
+      refs(refPrefix: "refs/tags/", query: $query, first: 100, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          name
+          target {
+            ... on Commit {
+              oid
+              committedDate
+            }
+            ... on Tag {
+              target {
+                ... on Commit {
+                  oid
+                  committedDate
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`
+
+/**
+ * Lists the tags starting with `tagPrefix`, with the SHA and date of the commit
+ * they point to, whether they are lightweight or annotated tags.
+ */
+const findTags = async ({ context, tagPrefix }) => {
+  const { owner, repo } = context.repo()
+  const data = await paginate(
+    context.octokit.graphql,
+    findTagsQuery,
+    tagPrefix ? { name: repo, owner, query: tagPrefix } : { name: repo, owner },
+    ['repository', 'refs']
+  )
+
+  // `query` matches anywhere in the name of the tags
+  return data.repository.refs.nodes
+    .filter((tag) => tag.name.startsWith(tagPrefix))
+    .map((tag) => {
+      const commit = tag.target.target || tag.target
+      return {
+        name: tag.name,
+        sha: commit.oid,
+        committedDate: commit.committedDate,
+      }
+    })
+}
+
+/**
+ * Turns the tags without a release into releases, so that they can be used as
+ * the previous release.
+ */
+const toTagReleases = ({ tags, releases, tagPrefix }) => {
+  const releaseTags = new Set(releases.map((release) => release.tag_name))
+  return tags
+    .filter((tag) => !releaseTags.has(tag.name))
+    .map((tag) => ({
+      tag_name: tag.name,
+      name: tag.name,
+      target_commitish: tag.sha,
+      created_at: tag.committedDate,
+      draft: false,
+      prerelease:
+        semver.prerelease(tag.name.slice(tagPrefix.length), true) !== null,
+    }))
+}
+
+exports.findTagsQuery = findTagsQuery
+exports.findTags = findTags
+exports.toTagReleases = toTagReleases
@@ -49,26 +49,50 @@ function validateReplacers({ context, replacers }) {
     .filter(Boolean)
 }
 
+function validateAutolabelerCondition(condition) {
+  const validated = {
+    ...condition,
+    branch: condition.branch.map((reg) => {
+      return toRegex(reg)
+    }),
+    title: condition.title.map((reg) => {
+      return toRegex(reg)
+    }),
+    body: condition.body.map((reg) => {
+      return toRegex(reg)
+    }),
+    patch: condition.patch.map((reg) => {
+      return toRegex(reg)
+    }),
+    'base-branch': condition['base-branch'].map((reg) => {
+      return toRegex(reg)
+    }),
+    author: condition.author.map((reg) => {
+      return toRegex(reg)
+    }),
+  }
+  for (const group of ['all', 'any']) {
+    if (condition[group]) {
+      validated[group] = condition[group].map((nestedCondition) =>
+        validateAutolabelerCondition(nestedCondition)
+      )
+    }
+  }
+  if (condition.not) {
+    validated.not = validateAutolabelerCondition(condition.not)
+  }
+  return validated
+}
+
 function validateAutolabeler({ context, autolabeler }) {
   return autolabeler
     .map((autolabel) => {
       try {
-        return {
-          ...autolabel,
-          branch: autolabel.branch.map((reg) => {
-            return toRegex(reg)
-          }),
-          title: autolabel.title.map((reg) => {
-            return toRegex(reg)
-          }),
-          body: autolabel.body.map((reg) => {
-            return toRegex(reg)
-          }),
-        }
+        return validateAutolabelerCondition(autolabel)
       } catch {
         log({
           context,
-          message: `Bad autolabeler regex: '${autolabel.branch}', '${autolabel.title}' or '${autolabel.body}'`,
+          message: `Bad autolabeler regex for label '${autolabel.label}'`,
         })
         return false
       }
@@ -0,0 +1,117 @@
+const semver = require('semver')
+const core = require('@actions/core')
+const { coerceVersion, defaultVersionInfo } = require('./versions')
+const { runnerIsActions } = require('./utils')
+const { log } = require('./log')
+
+const INCREMENTS = ['major', 'minor', 'patch']
+
+/**
+ * Finds the range of versions allowed on `targetCommitish`, e.g. `2.x` on a
+ * `release/2.x` maintenance branch.
+ */
+const findVersionRange = ({ config, targetCommitish }) => {
+  const reference = targetCommitish.replace(/^refs\/heads\//, '')
+  const constraint = config['version-constraints'].find(
+    (constraint) =>
+      constraint.reference.replace(/^refs\/heads\//, '') === reference
+  )
+  return constraint ? constraint.range : undefined
+}
+
+const isReleaseInVersionRange = ({ release, tagPrefix, versionRange }) => {
+  if (!versionRange) {
+    return true
+  }
+  const version = coerceVersion(release, tagPrefix)
+  return Boolean(
+    version &&
+      semver.satisfies(version, versionRange, { includePrerelease: true })
+  )
+}
+
+/**
+ * Lowers the increment until the next version stays in `versionRange`, so that
+ * a `major` label on a backport doesn't propose `3.0.0` on the 2.x line.
+ */
+const clampVersionKeyIncrement = ({
+  context,
+  lastRelease,
+  versionKeyIncrement,
+  versionRange,
+  tagPrefix,
+  preReleaseIdentifier,
+}) => {
+  const version = coerceVersion(lastRelease, tagPrefix)
+  if (!versionRange || !version) {
+    return versionKeyIncrement
+  }
+
+  const prefix = versionKeyIncrement.startsWith('pre') ? 'pre' : ''
+  const increment = versionKeyIncrement.slice(prefix.length)
+  // prereleases of a prerelease only increment their prerelease number
+  if (
+    !INCREMENTS.includes(increment) ||
+    (prefix && version.prerelease.length > 0)
+  ) {
+    return versionKeyIncrement
+  }
+
+  const allowedIncrement = INCREMENTS.slice(INCREMENTS.indexOf(increment)).find(
+    (candidate) =>
+      semver.satisfies(
+        semver.inc(version, `${prefix}${candidate}`, preReleaseIdentifier),
+        versionRange,
+        { includePrerelease: true }
+      )
+  )
+
+  if (allowedIncrement === increment) {
+    return versionKeyIncrement
+  }
+
+  const message = allowedIncrement
+    ? `The ${versionKeyIncrement} increment leaves the version range ${versionRange}, using ${prefix}${allowedIncrement} instead`
+    : `No increment of ${version.version} stays in the version range ${versionRange}`
+  log({ context, message })
+  if (runnerIsActions()) {
+    core.warning(message)
+  }
+
+  return allowedIncrement ? `${prefix}${allowedIncrement}` : versionKeyIncrement
+}
+
+/**
+ * Finds the version to start from on a branch without any release in its
+ * range, the lowest version of the range, e.g. `3.0.0` for `>=3.0.0`. The
+ * default first version is kept when it is in the range.
+ */
+const findFirstVersionInRange = ({ context, lastRelease, versionRange }) => {
+  if (
+    !versionRange ||
+    lastRelease ||
+    semver.satisfies(
+      defaultVersionInfo.$NEXT_PATCH_VERSION.version,
+      versionRange,
+      { includePrerelease: true }
+    )
+  ) {
+    return
+  }
+
+  const version = semver.minVersion(versionRange)
+  const message = version
+    ? `No release in the version range ${versionRange}, starting from ${version.version}`
+    : `No version satisfies the version range ${versionRange}`
+  log({ context, message })
+  if (runnerIsActions()) {
+    core.warning(message)
+  }
+
+  return version ? version.version : undefined
+}
+
+exports.findVersionRange = findVersionRange
+exports.isReleaseInVersionRange = isReleaseInVersionRange
+exports.clampVersionKeyIncrement = clampVersionKeyIncrement
+exports.findFirstVersionInRange = findFirstVersionInRange
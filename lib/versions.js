@@ -218,3 +218,4 @@ const getVersionInfo = (
 
 exports.getVersionInfo = getVersionInfo
 exports.defaultVersionInfo = defaultVersionInfo
+exports.coerceVersion = coerceVersion
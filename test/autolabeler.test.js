@@ -0,0 +1,581 @@
+const {
+  findAutolabels,
+  shouldAutolabel,
+  applyExclusiveGroups,
+  findRemovableLabels,
+  findIssueLabels,
+  removeLabels,
+} = require('../lib/autolabeler')
+const { validateSchema } = require('../lib/schema')
+const { DEFAULT_CONFIG } = require('../lib/default-config')
+
+const getBotLogin = async () => 'github-actions[bot]'
+
+const buildContext = (pullRequest = {}) => ({
+  payload: {
+    repository: { full_name: 'test', default_branch: 'master' },
+    pull_request: {
+      number: 42,
+      title: 'Update docs',
+      body: null,
+      head: { ref: 'docs/update' },
+      base: { ref: 'master' },
+      user: { login: 'octocat', type: 'User' },
+      author_association: 'CONTRIBUTOR',
+      draft: false,
+      labels: [],
+      ...pullRequest,
+    },
+  },
+  repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+  issue: (object) => ({ owner: 'test', repo: 'test', ...object }),
+  log: { info: jest.fn(), warn: jest.fn() },
+  octokit: {
+    paginate: jest.fn(),
+    graphql: jest.fn(),
+    issues: {
+      listEvents: { endpoint: { merge: jest.fn() } },
+      removeLabel: jest.fn(),
+    },
+  },
+})
+
+const file = (filename, additions = 1, deletions = 0) => ({
+  filename,
+  additions,
+  deletions,
+})
+
+const linkedIssues = (...issues) => ({
+  repository: {
+    pullRequest: {
+      closingIssuesReferences: {
+        nodes: issues.map(([number, labels]) => ({
+          number,
+          labels: { nodes: labels.map((name) => ({ name })) },
+        })),
+      },
+    },
+  },
+})
+
+const autolabelerFor = (context, autolabeler) =>
+  validateSchema(context, { template: '$CHANGES', autolabeler }).autolabeler
+
+describe('autolabeler', () => {
+  describe('findAutolabels', () => {
+    it('returns the labels of matching entries', () => {
+      const context = buildContext()
+      const autolabeler = autolabelerFor(context, [
+        { label: 'documentation', files: ['*.md'] },
+        { label: 'bug', branch: ['/fix\\/.+/'] },
+        { label: 'chore', title: ['/docs/i'] },
+      ])
+
+      const { labels, staleLabels } = findAutolabels({
+        context,
+        autolabeler,
+        changedFiles: [file('README.md')],
+      })
+
+      expect(labels).toEqual(['documentation', 'chore'])
+      expect(staleLabels).toEqual([])
+    })
+
+    it('returns the labels of unmatched sync entries as stale', () => {
+      const context = buildContext()
+      const autolabeler = autolabelerFor(context, [
+        { label: 'documentation', files: ['*.md'], sync: true },
+        { label: 'feature', files: ['src/**'], sync: true },
+        { label: 'bug', files: ['test/**'] },
+      ])
+
+      const { labels, staleLabels } = findAutolabels({
+        context,
+        autolabeler,
+        changedFiles: [file('README.md')],
+      })
+
+      expect(labels).toEqual(['documentation'])
+      expect(staleLabels).toEqual(['feature'])
+    })
+
+    it('does not return a stale label that another entry matched', () => {
+      const context = buildContext()
+      const autolabeler = autolabelerFor(context, [
+        { label: 'feature', files: ['src/**'], sync: true },
+        { label: 'feature', branch: ['/docs\\/.+/'] },
+      ])
+
+      const { labels, staleLabels } = findAutolabels({
+        context,
+        autolabeler,
+        changedFiles: [file('README.md')],
+      })
+
+      expect(labels).toEqual(['feature'])
+      expect(staleLabels).toEqual([])
+    })
+  })
+
+  describe('matcher groups', () => {
+    const autolabelerConfig = [
+      {
+        label: 'backend',
+        all: [{ files: ['api/**'] }, { not: { branch: ['/^release\\//'] } }],
+      },
+      {
+        label: 'frontend',
+        any: [{ files: ['web/**'] }, { title: ['ui'] }],
+      },
+    ]
+
+    it('requires every matcher of an all group', () => {
+      const context = buildContext({ head: { ref: 'feature/api' } })
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [file('api/index.js')],
+      })
+
+      expect(labels).toEqual(['backend'])
+    })
+
+    it('negates the matcher of a not group', () => {
+      const context = buildContext({ head: { ref: 'release/1.x' } })
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [file('api/index.js')],
+      })
+
+      expect(labels).toEqual([])
+    })
+
+    it('requires one matcher of an any group', () => {
+      const context = buildContext({ title: 'Polish the ui' })
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [file('README.md')],
+      })
+
+      expect(labels).toEqual(['frontend'])
+    })
+
+    it('matches plain string regexes more than once', () => {
+      const context = buildContext({ title: 'Polish the ui' })
+      const autolabeler = autolabelerFor(context, [
+        { label: 'frontend', title: ['ui'] },
+        { label: 'design', all: [{ title: ['ui'] }] },
+      ])
+      autolabeler[1].all[0].title = autolabeler[0].title
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler,
+        changedFiles: [],
+      })
+
+      expect(labels).toEqual(['frontend', 'design'])
+    })
+  })
+
+  describe('patch', () => {
+    const autolabelerConfig = [
+      { label: 'deprecation', patch: ['/^\\+.*@deprecated/m'] },
+      {
+        label: 'migration',
+        all: [{ files: ['db/migrations/**'] }, { patch: 'CREATE TABLE' }],
+      },
+    ]
+
+    it('matches the patch of the changed files', () => {
+      const context = buildContext()
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [
+          {
+            ...file('src/api.js'),
+            patch: '@@ -1,2 +1,3 @@\n /**\n+ * @deprecated\n  */',
+          },
+          {
+            ...file('db/migrations/001.sql'),
+            patch: '@@ -0,0 +1 @@\n+CREATE TABLE users (id int);',
+          },
+        ],
+      })
+
+      expect(labels).toEqual(['deprecation', 'migration'])
+    })
+
+    it('skips files without a patch', () => {
+      const context = buildContext()
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [
+          file('db/migrations/schema.png'),
+          {
+            ...file('src/api.js'),
+            patch: '@@ -1,3 +1,2 @@\n /**\n- * @deprecated\n  */',
+          },
+        ],
+      })
+
+      expect(labels).toEqual([])
+    })
+  })
+
+  describe('pull request matchers', () => {
+    const autolabelerConfig = [
+      {
+        label: 'dependencies',
+        all: [
+          { 'author-type': 'Bot' },
+          { author: '/^dependabot/' },
+          { 'base-branch': '/^main$/' },
+        ],
+      },
+      {
+        label: 'community',
+        'author-association': ['FIRST_TIME_CONTRIBUTOR', 'CONTRIBUTOR'],
+      },
+      { label: 'wip', draft: true },
+    ]
+
+    it('matches the author, author type and base branch', () => {
+      const context = buildContext({
+        base: { ref: 'main' },
+        user: { login: 'dependabot[bot]', type: 'Bot' },
+        author_association: 'NONE',
+      })
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [file('package.json')],
+      })
+
+      expect(labels).toEqual(['dependencies'])
+    })
+
+    it('matches the author association and draft state', () => {
+      const context = buildContext({
+        author_association: 'FIRST_TIME_CONTRIBUTOR',
+        draft: true,
+      })
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [file('README.md')],
+      })
+
+      expect(labels).toEqual(['community', 'wip'])
+    })
+
+    it('does not match a member on another base branch', () => {
+      const context = buildContext({
+        user: { login: 'dependabot[bot]', type: 'Bot' },
+        author_association: 'MEMBER',
+      })
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [file('package.json')],
+      })
+
+      expect(labels).toEqual([])
+    })
+  })
+
+  describe('size', () => {
+    const autolabelerConfig = [
+      { label: 'size/S', size: { lines: { max: 9 }, ignore: ['*.lock'] } },
+      { label: 'size/M', size: { lines: { min: 10, max: 99 } } },
+      { label: 'size/L', size: { lines: { min: 100 } } },
+      { label: 'many-files', size: { 'changed-files': { min: 3 } } },
+      { label: 'cleanup', size: { additions: { max: 0 } } },
+    ]
+
+    it('sums additions and deletions of the changed files', () => {
+      const context = buildContext()
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [file('a.js', 20, 5), file('b.js', 0, 10)],
+      })
+
+      expect(labels).toEqual(['size/M'])
+    })
+
+    it('does not count ignored files', () => {
+      const context = buildContext()
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [
+          file('a.js', 2, 2),
+          file('b.js', 1, 1),
+          file('yarn.lock', 500, 200),
+        ],
+      })
+
+      expect(labels).toEqual(['size/S', 'size/L', 'many-files'])
+    })
+
+    it('compares additions and deletions separately', () => {
+      const context = buildContext()
+
+      const { labels } = findAutolabels({
+        context,
+        autolabeler: autolabelerFor(context, autolabelerConfig),
+        changedFiles: [file('a.js', 0, 150)],
+      })
+
+      expect(labels).toEqual(['size/L', 'cleanup'])
+    })
+  })
+
+  describe('applyExclusiveGroups', () => {
+    const exclusiveGroups = [
+      { name: 'type', labels: ['breaking', 'feature', 'bug', 'chore'] },
+      { name: 'size', labels: ['size/L', 'size/S'] },
+    ]
+
+    it('keeps the highest priority label of each group', () => {
+      const context = buildContext({ labels: [{ name: 'chore' }] })
+
+      expect(
+        applyExclusiveGroups({
+          context,
+          labels: ['bug', 'documentation', 'feature', 'size/S'],
+          exclusiveGroups,
+        })
+      ).toEqual({
+        labels: ['documentation', 'feature', 'size/S'],
+        conflictingLabels: ['chore'],
+      })
+    })
+
+    it('keeps a higher priority label already on the pull request', () => {
+      const context = buildContext({
+        labels: [{ name: 'breaking' }, { name: 'bug' }],
+      })
+
+      expect(
+        applyExclusiveGroups({ context, labels: ['feature'], exclusiveGroups })
+      ).toEqual({ labels: [], conflictingLabels: ['bug'] })
+    })
+
+    it('leaves groups without matching labels untouched', () => {
+      const context = buildContext({
+        labels: [{ name: 'feature' }, { name: 'bug' }],
+      })
+
+      expect(
+        applyExclusiveGroups({ context, labels: ['size/L'], exclusiveGroups })
+      ).toEqual({ labels: ['size/L'], conflictingLabels: [] })
+    })
+
+    it('keeps the label just added by hand', () => {
+      const context = buildContext({
+        labels: [{ name: 'breaking' }, { name: 'bug' }],
+      })
+
+      expect(
+        applyExclusiveGroups({
+          context,
+          labels: [],
+          exclusiveGroups,
+          chosenLabel: 'bug',
+        })
+      ).toEqual({ labels: [], conflictingLabels: ['breaking'] })
+    })
+
+    it('ignores the labels about to be removed', () => {
+      const context = buildContext({ labels: [{ name: 'breaking' }] })
+
+      expect(
+        applyExclusiveGroups({
+          context,
+          labels: ['feature'],
+          exclusiveGroups,
+          removableLabels: ['breaking'],
+        })
+      ).toEqual({ labels: ['feature'], conflictingLabels: [] })
+    })
+  })
+
+  describe('findRemovableLabels', () => {
+    it('skips the events lookup when no stale label is on the pull request', async () => {
+      const context = buildContext({ labels: [{ name: 'bug' }] })
+
+      const labels = await findRemovableLabels({
+        context,
+        staleLabels: ['feature'],
+        getBotLogin,
+      })
+
+      expect(labels).toEqual([])
+      expect(context.octokit.paginate).not.toHaveBeenCalled()
+    })
+
+    it('only returns labels last applied by Release Drafter', async () => {
+      const context = buildContext({
+        labels: [
+          { name: 'feature' },
+          { name: 'documentation' },
+          { name: 'dependencies' },
+        ],
+      })
+      context.octokit.paginate.mockResolvedValueOnce([
+        {
+          event: 'labeled',
+          label: { name: 'feature' },
+          actor: { login: 'octocat', type: 'User' },
+        },
+        {
+          event: 'labeled',
+          label: { name: 'feature' },
+          actor: { login: 'github-actions[bot]', type: 'Bot' },
+        },
+        {
+          event: 'labeled',
+          label: { name: 'documentation' },
+          actor: { login: 'github-actions[bot]', type: 'Bot' },
+        },
+        {
+          event: 'unlabeled',
+          label: { name: 'documentation' },
+          actor: { login: 'octocat', type: 'User' },
+        },
+        {
+          event: 'labeled',
+          label: { name: 'documentation' },
+          actor: { login: 'octocat', type: 'User' },
+        },
+        {
+          event: 'labeled',
+          label: { name: 'dependencies' },
+          actor: { login: 'dependabot[bot]', type: 'Bot' },
+        },
+      ])
+
+      const labels = await findRemovableLabels({
+        context,
+        staleLabels: ['feature', 'documentation', 'dependencies'],
+        getBotLogin,
+      })
+
+      expect(labels).toEqual(['feature'])
+    })
+  })
+
+  describe('shouldAutolabel', () => {
+    it('skips label changes made by bots', () => {
+      const context = buildContext()
+      context.payload.action = 'unlabeled'
+      context.payload.sender = { login: 'github-actions[bot]', type: 'Bot' }
+
+      expect(shouldAutolabel({ context, config: DEFAULT_CONFIG })).toBe(false)
+    })
+
+    it('reconciles label changes made by people', () => {
+      const context = buildContext()
+      context.payload.action = 'labeled'
+      context.payload.sender = { login: 'octocat', type: 'User' }
+
+      expect(shouldAutolabel({ context, config: DEFAULT_CONFIG })).toBe(true)
+    })
+
+    it('skips drafts when configured', () => {
+      const context = buildContext({ draft: true })
+      context.payload.action = 'converted_to_draft'
+
+      expect(shouldAutolabel({ context, config: DEFAULT_CONFIG })).toBe(true)
+      expect(
+        shouldAutolabel({
+          context,
+          config: { ...DEFAULT_CONFIG, 'autolabeler-skip-drafts': true },
+        })
+      ).toBe(false)
+    })
+
+    it('labels pull requests ready for review', () => {
+      const context = buildContext({ draft: false })
+      context.payload.action = 'ready_for_review'
+
+      expect(
+        shouldAutolabel({
+          context,
+          config: { ...DEFAULT_CONFIG, 'autolabeler-skip-drafts': true },
+        })
+      ).toBe(true)
+    })
+  })
+
+  describe('findIssueLabels', () => {
+    it('copies the allowed labels of the linked issues', async () => {
+      const context = buildContext()
+      context.octokit.graphql.mockResolvedValueOnce(
+        linkedIssues(
+          [123, ['bug', 'help wanted', 'area/api']],
+          [124, ['bug', 'security', 'areas']]
+        )
+      )
+
+      const labels = await findIssueLabels({
+        context,
+        allowList: ['bug', 'security', 'area/*'],
+      })
+
+      expect(labels).toEqual(['bug', 'area/api', 'security'])
+      expect(context.octokit.graphql).toHaveBeenCalledWith(
+        expect.stringContaining('closingIssuesReferences'),
+        { owner: 'test', repo: 'test', number: 42 }
+      )
+    })
+
+    it('skips the query without an allow-list', async () => {
+      const context = buildContext()
+
+      expect(await findIssueLabels({ context, allowList: [] })).toEqual([])
+      expect(context.octokit.graphql).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('removeLabels', () => {
+    it('ignores labels that are already gone', async () => {
+      const context = buildContext()
+      context.octokit.issues.removeLabel
+        .mockRejectedValueOnce(
+          Object.assign(new Error('Not Found'), { status: 404 })
+        )
+        .mockResolvedValueOnce({})
+
+      const removedLabels = await removeLabels({
+        context,
+        labels: ['feature', 'documentation'],
+      })
+
+      expect(removedLabels).toEqual(['documentation'])
+      expect(context.octokit.issues.removeLabel).toHaveBeenCalledWith({
+        owner: 'test',
+        repo: 'test',
+        issue_number: 42,
+        name: 'documentation',
+      })
+    })
+  })
+})
@@ -0,0 +1,94 @@
+const { checkLabels, createLabelsStatus } = require('../lib/check-labels')
+const { DEFAULT_CONFIG } = require('../lib/default-config')
+
+const config = {
+  ...DEFAULT_CONFIG,
+  categories: [
+    { title: 'Features', labels: ['feature'] },
+    { title: 'Bug Fixes', labels: ['bug'] },
+  ],
+  'version-resolver': {
+    major: { labels: ['major'] },
+    minor: { labels: ['minor', 'feature'] },
+    patch: { labels: ['patch'] },
+    default: 'patch',
+  },
+  'exclude-labels': ['skip-changelog'],
+}
+
+describe('check-labels', () => {
+  describe('checkLabels', () => {
+    it('succeeds with a category label', () => {
+      expect(checkLabels({ labels: ['bug', 'help'], config })).toEqual({
+        state: 'success',
+        description: 'Labeled with bug',
+      })
+    })
+
+    it('succeeds with an excluded label', () => {
+      expect(checkLabels({ labels: ['skip-changelog'], config })).toEqual({
+        state: 'success',
+        description: 'Labeled with skip-changelog',
+      })
+    })
+
+    it('fails without any accepted label', () => {
+      expect(checkLabels({ labels: ['help'], config })).toEqual({
+        state: 'failure',
+        description:
+          'Missing one of the labels: feature, bug, major, minor, patch, skip-changelog',
+      })
+    })
+
+    it('fails with labels of different version increments', () => {
+      expect(
+        checkLabels({ labels: ['major', 'bug', 'patch'], config })
+      ).toEqual({
+        state: 'failure',
+        description: 'Conflicting version labels: major, patch',
+      })
+    })
+
+    it('succeeds when no labels are configured', () => {
+      expect(checkLabels({ labels: [], config: DEFAULT_CONFIG })).toEqual({
+        state: 'success',
+        description: 'No labels are required',
+      })
+    })
+  })
+
+  describe('createLabelsStatus', () => {
+    it('creates a commit status on the head of the pull request', async () => {
+      const context = {
+        payload: {
+          repository: { full_name: 'test' },
+          pull_request: { head: { sha: 'abc123' } },
+        },
+        repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+        log: { info: jest.fn() },
+        octokit: { repos: { createCommitStatus: jest.fn() } },
+      }
+
+      await createLabelsStatus({
+        context,
+        config: {
+          ...config,
+          categories: [
+            { title: 'Dependencies', labels: ['dependencies'.repeat(20)] },
+          ],
+        },
+        labels: [],
+      })
+
+      const [status] = context.octokit.repos.createCommitStatus.mock.calls[0]
+      expect(status).toMatchObject({
+        owner: 'test',
+        repo: 'test',
+        sha: 'abc123',
+        state: 'failure',
+        context: 'release-drafter/labels',
+      })
+      expect(status.description).toHaveLength(140)
+    })
+  })
+})
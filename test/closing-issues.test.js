@@ -0,0 +1,88 @@
+const { addClosingIssues } = require('../lib/closing-issues')
+const { DEFAULT_CONFIG } = require('../lib/default-config')
+
+const config = {
+  ...DEFAULT_CONFIG,
+  template: '$CHANGES\n\n$FIXED_ISSUES',
+  'exclude-labels': ['skip-changelog'],
+}
+
+const pullRequest = (number, labels = []) => ({
+  number,
+  labels: { nodes: labels.map((name) => ({ name })) },
+})
+
+const closingIssues = (number) => ({
+  nodes: [{ title: `Issue of #${number}`, number: number + 100 }],
+})
+
+const buildContext = () => ({
+  payload: { repository: { full_name: 'test' } },
+  repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+  log: { info: jest.fn(), warn: jest.fn() },
+  octokit: {
+    graphql: jest.fn(async (query) => ({
+      repository: Object.fromEntries(
+        [...query.matchAll(/pr(\d+): pullRequest/g)].map(([, number]) => [
+          `pr${number}`,
+          { closingIssuesReferences: closingIssues(Number(number)) },
+        ])
+      ),
+    })),
+  },
+})
+
+describe('closing-issues', () => {
+  describe('addClosingIssues', () => {
+    it('adds the issues closed by the pull requests', async () => {
+      const context = buildContext()
+
+      const pullRequests = await addClosingIssues({
+        context,
+        config,
+        pullRequests: [pullRequest(1), pullRequest(2, ['skip-changelog'])],
+      })
+
+      expect(pullRequests).toEqual([
+        { ...pullRequest(1), closingIssuesReferences: closingIssues(1) },
+        pullRequest(2, ['skip-changelog']),
+      ])
+      expect(context.octokit.graphql).toHaveBeenCalledWith(
+        expect.stringContaining('pr1: pullRequest(number: 1)'),
+        { name: 'test', owner: 'test' }
+      )
+      expect(context.octokit.graphql.mock.calls[0][0]).not.toContain('pr2:')
+    })
+
+    it('looks up the pull requests in batches', async () => {
+      const context = buildContext()
+
+      const pullRequests = await addClosingIssues({
+        context,
+        config,
+        pullRequests: Array.from({ length: 120 }, (_, index) =>
+          pullRequest(index + 1)
+        ),
+      })
+
+      expect(context.octokit.graphql).toHaveBeenCalledTimes(3)
+      expect(pullRequests[119].closingIssuesReferences).toEqual(
+        closingIssues(120)
+      )
+    })
+
+    it('skips the lookup when the templates do not use closing issues', async () => {
+      const context = buildContext()
+      const pullRequests = [pullRequest(1)]
+
+      expect(
+        await addClosingIssues({
+          context,
+          config: { ...config, template: '$CHANGES' },
+          pullRequests,
+        })
+      ).toBe(pullRequests)
+      expect(context.octokit.graphql).not.toHaveBeenCalled()
+    })
+  })
+})
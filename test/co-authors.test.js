@@ -0,0 +1,52 @@
+const { parseCoAuthors, findCoAuthors } = require('../lib/co-authors')
+
+const commit = (message, author) => ({
+  message,
+  author: author || { name: 'Ada Lovelace', user: null },
+})
+
+describe('co-authors', () => {
+  describe('parseCoAuthors', () => {
+    it('parses the co-author trailers', () => {
+      expect(
+        parseCoAuthors(
+          'Pair on the parser\n\nco-authored-by: Grace Hopper <grace@example.com>\nCo-Authored-By:  Jane Doe  <jane@example.com>\nSigned-off-by: Ada <ada@example.com>'
+        )
+      ).toEqual([
+        { name: 'Grace Hopper', email: 'grace@example.com' },
+        { name: 'Jane Doe', email: 'jane@example.com' },
+      ])
+      expect(parseCoAuthors('Fix typo')).toEqual([])
+    })
+  })
+
+  describe('findCoAuthors', () => {
+    it('resolves the logins of the co-authors', () => {
+      const commits = [
+        commit('Add parser', {
+          name: 'Grace Hopper',
+          email: 'Grace@example.com',
+          user: { login: 'grace' },
+        }),
+        commit(
+          'Fix parser\n\nCo-authored-by: Grace <grace@example.com>\nCo-authored-by: Jane <12345+jane@users.noreply.github.com>\nCo-authored-by: octocat <octocat@users.noreply.github.com>\nCo-authored-by: Joan Clarke <joan@example.com>'
+        ),
+      ]
+
+      expect(findCoAuthors(commits)).toEqual([
+        { name: 'Grace', email: 'grace@example.com', login: 'grace' },
+        {
+          name: 'Jane',
+          email: '12345+jane@users.noreply.github.com',
+          login: 'jane',
+        },
+        {
+          name: 'octocat',
+          email: 'octocat@users.noreply.github.com',
+          login: 'octocat',
+        },
+        { name: 'Joan Clarke', email: 'joan@example.com', login: undefined },
+      ])
+    })
+  })
+})
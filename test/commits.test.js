@@ -0,0 +1,46 @@
+const { findCommitsWithoutPullRequests } = require('../lib/commits')
+
+const commit = (message, pullRequestRepositories = []) => ({
+  message,
+  associatedPullRequests: {
+    nodes: pullRequestRepositories.map((nameWithOwner) => ({
+      baseRepository: { nameWithOwner },
+    })),
+  },
+})
+
+describe('commits', () => {
+  describe('findCommitsWithoutPullRequests', () => {
+    it('keeps the commits without a pull request of the repository', () => {
+      const commits = [
+        commit('Add big feature', ['toolmantim/release-drafter-test-project']),
+        commit('Fix typo'),
+        commit('Sync fork', ['jetersen/release-drafter-test-project']),
+      ]
+
+      expect(
+        findCommitsWithoutPullRequests({
+          commits,
+          repoNameWithOwner: 'toolmantim/release-drafter-test-project',
+        }).map((commit) => commit.message)
+      ).toEqual(['Fix typo', 'Sync fork'])
+    })
+
+    it('drops merge commits and commits skipping the changelog', () => {
+      const commits = [
+        commit("Merge branch 'main' into release"),
+        commit('Merge pull request #5 from TimonVS/add-documentation'),
+        commit('Bump version\n\n[skip changelog]'),
+        commit('[Skip Changelog] Format code'),
+        commit('Merge the duplicated helpers'),
+      ]
+
+      expect(
+        findCommitsWithoutPullRequests({
+          commits,
+          repoNameWithOwner: 'toolmantim/release-drafter-test-project',
+        }).map((commit) => commit.message)
+      ).toEqual(['Merge the duplicated helpers'])
+    })
+  })
+})
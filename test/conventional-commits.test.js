@@ -0,0 +1,107 @@
+const {
+  parseConventionalCommit,
+  getConventionalCommitLabels,
+  isBreakingChange,
+  applyConventionalCommitLabels,
+} = require('../lib/conventional-commits')
+const { DEFAULT_CONFIG } = require('../lib/default-config')
+
+const config = {
+  ...DEFAULT_CONFIG,
+  'conventional-commits': {
+    ...DEFAULT_CONFIG['conventional-commits'],
+    enabled: true,
+    'scope-label-template': 'scope/$SCOPE',
+  },
+}
+
+describe('conventional-commits', () => {
+  describe('parseConventionalCommit', () => {
+    it('parses type, scope and breaking marker', () => {
+      expect(parseConventionalCommit('feat(api)!: drop v1 endpoints')).toEqual({
+        type: 'feat',
+        scope: 'api',
+        breaking: true,
+        description: 'drop v1 endpoints',
+      })
+    })
+
+    it('parses a title without scope', () => {
+      expect(parseConventionalCommit('Fix: handle empty body')).toEqual({
+        type: 'fix',
+        scope: undefined,
+        breaking: false,
+        description: 'handle empty body',
+      })
+    })
+
+    it('detects a BREAKING CHANGE footer in the body', () => {
+      expect(
+        parseConventionalCommit(
+          'refactor: rename option',
+          'Some details\n\nBREAKING CHANGE: `foo` is now `bar`'
+        )
+      ).toMatchObject({ type: 'refactor', breaking: true })
+    })
+
+    it('ignores titles not following the specification', () => {
+      expect(parseConventionalCommit('Update README.md')).toBeUndefined()
+      expect(parseConventionalCommit('feat:missing space')).toBeUndefined()
+      expect(parseConventionalCommit()).toBeUndefined()
+    })
+  })
+
+  describe('getConventionalCommitLabels', () => {
+    it('maps the type and scope to labels', () => {
+      expect(
+        getConventionalCommitLabels({ title: 'feat(cli): add flag' }, config)
+      ).toEqual(['feature', 'scope/cli'])
+    })
+
+    it('skips unmapped types', () => {
+      expect(
+        getConventionalCommitLabels({ title: 'chore: bump deps' }, config)
+      ).toEqual([])
+    })
+
+    it('does nothing unless enabled', () => {
+      expect(
+        getConventionalCommitLabels(
+          { title: 'feat(cli): add flag' },
+          DEFAULT_CONFIG
+        )
+      ).toEqual([])
+    })
+  })
+
+  describe('isBreakingChange', () => {
+    it('is true for breaking changes only', () => {
+      expect(isBreakingChange({ title: 'feat!: drop node 18' }, config)).toBe(
+        true
+      )
+      expect(isBreakingChange({ title: 'feat: add node 22' }, config)).toBe(
+        false
+      )
+      expect(
+        isBreakingChange({ title: 'feat!: drop node 18' }, DEFAULT_CONFIG)
+      ).toBe(false)
+    })
+  })
+
+  describe('applyConventionalCommitLabels', () => {
+    it('adds missing labels without duplicating existing ones', () => {
+      const pullRequests = [
+        { title: 'fix: typo', labels: { nodes: [{ name: 'bug' }] } },
+        { title: 'feat(api): add endpoint', labels: { nodes: [] } },
+      ]
+
+      expect(applyConventionalCommitLabels(pullRequests, config)).toEqual([
+        pullRequests[0],
+        {
+          title: 'feat(api): add endpoint',
+          labels: { nodes: [{ name: 'feature' }, { name: 'scope/api' }] },
+        },
+      ])
+    })
+  })
+})
@@ -0,0 +1,41 @@
+const {
+  mergeManualSections,
+  signBody,
+  isEditedBody,
+} = require('../lib/draft-body')
+
+const section = (content) =>
+  `<!-- release-drafter:manual -->\n${content}\n<!-- /release-drafter:manual -->`
+
+describe('draft-body', () => {
+  describe('mergeManualSections', () => {
+    it('carries the manual sections over in order', () => {
+      const body = `${section('')}\n\n* Add feature\n\n${section('')}`
+      const draftBody = `${section('Highlights')}\n\n* Old\n\n${section(
+        'Migration'
+      )}`
+
+      expect(mergeManualSections(body, draftBody)).toEqual(
+        `${section('Highlights')}\n\n* Add feature\n\n${section('Migration')}`
+      )
+    })
+
+    it('appends the manual sections missing from the body', () => {
+      expect(
+        mergeManualSections('* Add feature\n', `${section('Highlights')}`)
+      ).toEqual(`* Add feature\n\n${section('Highlights')}`)
+      expect(mergeManualSections('* Add feature')).toEqual('* Add feature')
+    })
+  })
+
+  describe('isEditedBody', () => {
+    it('tells whether the signed body was edited', () => {
+      const body = signBody('* Add feature')
+
+      expect(isEditedBody(body)).toBe(false)
+      expect(isEditedBody(body.replace(/\n/g, '\r\n'))).toBe(false)
+      expect(isEditedBody(body.replace('Add', 'Remove'))).toBe(true)
+      expect(isEditedBody('* Add feature')).toBe(false)
+    })
+  })
+})
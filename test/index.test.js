@@ -5,8 +5,10 @@ const releaseDrafter = require('../index')
 const mockedEnv = require('mocked-env')
 const pino = require('pino')
 const Stream = require('node:stream')
+const core = require('@actions/core')
 const pushPayload = require('./fixtures/push.json')
 const pushTagPayload = require('./fixtures/push-tag.json')
+const pullRequestPayload = require('./fixtures/pull-request.json')
 const releasePayload = require('./fixtures/release.json')
 const release2Payload = require('./fixtures/release-2.json')
 const release3Payload = require('./fixtures/release-3.json')
@@ -44,6 +46,19 @@ O8xKathZkCKrsEBz6aECQQCLgqOCJz4MGIVHP4vQHgYp8YNZ+RMSfJfZA9AyAsgP
 Pc6zWtW2XuNIGHw9pDj7v1yDolm7feBXLg8/u9APwHDy
 -----END RSA PRIVATE KEY-----`
 
+const compareCommit = (sha, date) => ({
+  sha,
+  commit: { committer: { date } },
+})
+
+const pullRequestWithLabels = (...names) => ({
+  ...pullRequestPayload,
+  pull_request: {
+    ...pullRequestPayload.pull_request,
+    labels: names.map((name) => ({ name })),
+  },
+})
+
 describe('release-drafter', () => {
   let probot
   let logger
@@ -149,6 +164,7 @@ describe('release-drafter', () => {
           nock('https://api.github.com')
             .get('/repos/toolmantim/release-drafter-test-project/releases')
             .query(true)
+            .times(2)
             .reply(200, [releasePayload])
             .post(
               '/repos/toolmantim/release-drafter-test-project/releases',
@@ -213,6 +229,7 @@ describe('release-drafter', () => {
           nock('https://api.github.com')
             .get('/repos/toolmantim/release-drafter-test-project/releases')
             .query(true)
+            .times(2)
             .reply(200, [releasePayload])
             .post(
               '/repos/toolmantim/release-drafter-test-project/releases',
@@ -262,6 +279,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [])
 
         nock('https://api.github.com')
@@ -311,6 +329,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [release2Payload, releasePayload, release3Payload])
 
         nock('https://api.github.com')
@@ -365,6 +384,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [release2Payload, releasePayload, release3Payload])
 
         nock('https://api.github.com')
@@ -417,6 +437,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -461,6 +482,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [releasePayload])
 
           nock('https://api.github.com')
@@ -510,6 +532,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [releasePayload])
 
           nock('https://api.github.com')
@@ -559,6 +582,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [releasePayload])
 
           nock('https://api.github.com')
@@ -608,6 +632,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [releasePayload])
 
           nock('https://api.github.com')
@@ -644,6 +669,55 @@ describe('release-drafter', () => {
           expect.assertions(1)
         })
 
+        it('adds the co-authors of the commits', async () => {
+          getConfigMock('config-with-contributors.yml')
+
+          nock('https://api.github.com')
+            .get(
+              '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+            )
+            .times(2)
+            .reply(200, [releasePayload])
+
+          const graphqlCommits = JSON.parse(
+            JSON.stringify(graphqlCommitsMergeCommit)
+          )
+          const commits = graphqlCommits.data.repository.object.history.nodes
+          commits[0].author.email = 'timon@example.com'
+          commits[5].message = [
+            'Fix typo',
+            '',
+            'Co-authored-by: Grace Hopper <grace@example.com>',
+            'Co-authored-by: Jane <12345+jane@users.noreply.github.com>',
+            'Co-authored-by: Timon <Timon@example.com>',
+          ].join('\n')
+
+          nock('https://api.github.com')
+            .post('/graphql', (body) =>
+              body.query.includes('query findCommitsWithAssociatedPullRequests')
+            )
+            .reply(200, graphqlCommits)
+
+          nock('https://api.github.com')
+            .post(
+              '/repos/toolmantim/release-drafter-test-project/releases',
+              (body) => {
+                expect(body.body).toMatchInlineSnapshot(
+                  `"A big thanks to: @TimonVS, @jane, Ada Lovelace and Grace Hopper"`
+                )
+                return true
+              }
+            )
+            .reply(200, releasePayload)
+
+          await probot.receive({
+            name: 'push',
+            payload: pushPayload,
+          })
+
+          expect.assertions(1)
+        })
+
         it('uses no-contributors-template when there are no contributors', async () => {
           getConfigMock('config-with-contributors.yml')
 
@@ -651,6 +725,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [releasePayload])
 
           nock('https://api.github.com')
@@ -696,6 +771,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [releasePayload])
 
           nock('https://api.github.com')
@@ -742,6 +818,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [release2Payload, releasePayload, release3Payload])
 
         nock('https://api.github.com')
@@ -791,6 +868,7 @@ describe('release-drafter', () => {
           nock('https://api.github.com')
             .get('/repos/toolmantim/release-drafter-test-project/releases')
             .query(true)
+            .times(2)
             .reply(200, [])
 
           nock('https://api.github.com')
@@ -878,6 +956,286 @@ describe('release-drafter', () => {
 
         expect.assertions(1)
       })
+
+      it('keeps the manual sections of the existing release’s body', async () => {
+        getConfigMock()
+
+        nock('https://api.github.com')
+          .get('/repos/toolmantim/release-drafter-test-project/releases')
+          .query(true)
+          .reply(200, [
+            {
+              ...releaseDrafterFixture,
+              body: '<!-- release-drafter:manual -->\n## Highlights\n<!-- /release-drafter:manual -->\n\nAn old release',
+            },
+          ])
+
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsMergeCommit)
+
+        nock('https://api.github.com')
+          .patch(
+            '/repos/toolmantim/release-drafter-test-project/releases/11691725',
+            (body) => {
+              expect(body.body).toMatchInlineSnapshot(`
+                "# What's Changed
+
+                * Add documentation (#5) @TimonVS
+                * Update dependencies (#4) @TimonVS
+                * Bug fixes (#3) @TimonVS
+                * Add big feature (#2) @TimonVS
+                * 👽 Add alien technology (#1) @TimonVS
+
+                <!-- release-drafter:manual -->
+                ## Highlights
+                <!-- /release-drafter:manual -->"
+              `)
+              return true
+            }
+          )
+          .reply(200, releasePayload)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect.assertions(1)
+      })
+
+      it('keeps the existing release when its body was edited with keep-edited-drafts', async () => {
+        getConfigMock('config-with-keep-edited-drafts.yml')
+
+        nock('https://api.github.com')
+          .get('/repos/toolmantim/release-drafter-test-project/releases')
+          .query(true)
+          .reply(200, [
+            {
+              ...releaseDrafterFixture,
+              body: 'An edited release\n\n<!-- release-drafter:hash 0123456789abcdef -->',
+            },
+          ])
+
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsMergeCommit)
+
+        const updateRelease = jest.fn()
+        nock('https://api.github.com')
+          .patch(
+            '/repos/toolmantim/release-drafter-test-project/releases/11691725'
+          )
+          .reply(200, updateRelease)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect(updateRelease).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('with drafts created by concurrent runs', () => {
+      it('keeps the oldest draft and deletes the others', async () => {
+        getConfigMock()
+
+        nock('https://api.github.com')
+          .get('/repos/toolmantim/release-drafter-test-project/releases')
+          .query(true)
+          .reply(200, [releasePayload])
+          .get('/repos/toolmantim/release-drafter-test-project/releases')
+          .query(true)
+          .reply(200, [
+            { ...releaseDrafterFixture, id: 3 },
+            { ...releaseDrafterFixture, id: 2, body: 'A concurrent draft' },
+            { ...releaseDrafterFixture, id: 4, body: 'A concurrent draft' },
+            releasePayload,
+          ])
+
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          // the history is fetched again before updating the kept draft
+          .times(2)
+          .reply(200, graphqlCommitsMergeCommit)
+
+        const scope = nock('https://api.github.com')
+          .post('/repos/toolmantim/release-drafter-test-project/releases')
+          .reply(200, { ...releaseDrafterFixture, id: 3 })
+          .patch(
+            '/repos/toolmantim/release-drafter-test-project/releases/2',
+            (body) => body.body.includes('* Add big feature (#2) @TimonVS')
+          )
+          .reply(200, { ...releaseDrafterFixture, id: 2 })
+          .delete('/repos/toolmantim/release-drafter-test-project/releases/3')
+          .reply(204)
+          // already deleted by the run that created it
+          .delete('/repos/toolmantim/release-drafter-test-project/releases/4')
+          .reply(404)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect(scope.isDone()).toBe(true)
+      })
+
+      it('updates the kept draft with the latest commits', async () => {
+        getConfigMock()
+
+        nock('https://api.github.com')
+          .get('/repos/toolmantim/release-drafter-test-project/releases')
+          .query(true)
+          .reply(200, [releasePayload])
+          .get('/repos/toolmantim/release-drafter-test-project/releases')
+          .query(true)
+          .reply(200, [
+            { ...releaseDrafterFixture, id: 3 },
+            {
+              ...releaseDrafterFixture,
+              id: 2,
+              body: 'A concurrent draft with newer commits',
+            },
+            releasePayload,
+          ])
+
+        // this run started before the commits of the concurrent run
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsEmpty)
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsMergeCommit)
+
+        const scope = nock('https://api.github.com')
+          .post(
+            '/repos/toolmantim/release-drafter-test-project/releases',
+            (body) => body.body.includes('No changes')
+          )
+          .reply(200, { ...releaseDrafterFixture, id: 3 })
+          .patch(
+            '/repos/toolmantim/release-drafter-test-project/releases/2',
+            (body) => body.body.includes('* Add big feature (#2) @TimonVS')
+          )
+          .reply(200, { ...releaseDrafterFixture, id: 2 })
+          .delete('/repos/toolmantim/release-drafter-test-project/releases/3')
+          .reply(204)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect(scope.isDone()).toBe(true)
+      })
+    })
+
+    describe('with a draft key', () => {
+      it('updates the draft with the same key', async () => {
+        getConfigMock('config-with-draft-key.yml')
+
+        nock('https://api.github.com')
+          .get('/repos/toolmantim/release-drafter-test-project/releases')
+          .query(true)
+          .reply(200, [
+            {
+              ...releaseDrafterFixture,
+              id: 1,
+              body: 'SDK notes\n\n<!-- release-drafter:draft-key sdk -->',
+            },
+            {
+              ...releaseDrafterFixture,
+              id: 2,
+              body: 'CLI notes\n\n<!-- release-drafter:draft-key cli -->',
+            },
+          ])
+
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsMergeCommit)
+
+        nock('https://api.github.com')
+          .patch(
+            '/repos/toolmantim/release-drafter-test-project/releases/2',
+            (body) => {
+              expect(body.body).toMatchInlineSnapshot(`
+                "# What's Changed
+
+                * Add documentation (#5) @TimonVS
+                * Update dependencies (#4) @TimonVS
+                * Bug fixes (#3) @TimonVS
+                * Add big feature (#2) @TimonVS
+                * 👽 Add alien technology (#1) @TimonVS
+
+                <!-- release-drafter:draft-key cli -->"
+              `)
+              return true
+            }
+          )
+          .reply(200, releasePayload)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect.assertions(1)
+      })
+
+      it('adopts the draft without key', async () => {
+        getConfigMock('config-with-draft-key.yml')
+
+        nock('https://api.github.com')
+          .get('/repos/toolmantim/release-drafter-test-project/releases')
+          .query(true)
+          .reply(200, [
+            {
+              ...releaseDrafterFixture,
+              id: 1,
+              body: 'SDK notes\n\n<!-- release-drafter:draft-key sdk -->',
+            },
+            { ...releaseDrafterFixture, id: 2, body: 'Notes' },
+          ])
+
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsMergeCommit)
+
+        const scope = nock('https://api.github.com')
+          .patch(
+            '/repos/toolmantim/release-drafter-test-project/releases/2',
+            (body) => {
+              expect(body.body).toContain(
+                '<!-- release-drafter:draft-key cli -->'
+              )
+              return true
+            }
+          )
+          .reply(200, releasePayload)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect(scope.isDone()).toBe(true)
+        expect.assertions(2)
+      })
     })
 
     describe('with owner and repository templating', () => {
@@ -887,6 +1245,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -946,6 +1305,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1001,6 +1361,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1058,6 +1419,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1113,6 +1475,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1168,6 +1531,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1227,6 +1591,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1285,6 +1650,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [release2Payload, preReleasePayload])
 
         nock('https://api.github.com')
@@ -1336,6 +1702,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1392,6 +1759,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1442,6 +1810,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1484,6 +1853,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1526,6 +1896,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1570,6 +1941,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1613,6 +1985,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1656,6 +2029,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1702,6 +2076,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1748,6 +2123,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -1803,6 +2179,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [])
 
           nock('https://api.github.com')
@@ -1857,6 +2234,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [])
 
           nock('https://api.github.com')
@@ -1911,6 +2289,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [])
 
           nock('https://api.github.com')
@@ -1957,6 +2336,7 @@ describe('release-drafter', () => {
             .get(
               '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
             )
+            .times(2)
             .reply(200, [releaseSharedCommitDate])
 
           nock('https://api.github.com')
@@ -2007,6 +2387,7 @@ describe('release-drafter', () => {
           nock('https://api.github.com')
             .get('/repos/toolmantim/release-drafter-test-project/releases')
             .query(true)
+            .times(2)
             .reply(200, [releasePayload])
 
           nock('https://api.github.com')
@@ -2054,43 +2435,153 @@ describe('release-drafter', () => {
       })
     })
 
-    describe('pagination', () => {
-      it('sets $CHANGES based on all commits', async () => {
-        getConfigMock('config.yml')
+    describe('with labels config', () => {
+      it('creates and updates the declared labels', async () => {
+        getConfigMock('config-with-labels.yml')
 
-        nock('https://api.github.com')
-          .post('/graphql', (body) =>
-            body.query.includes('query findCommitsWithAssociatedPullRequests')
+        const labelsScope = nock('https://api.github.com')
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/labels?per_page=100'
           )
-          .reply(200, graphqlCommitsPaginated1)
-          .post('/graphql', (body) =>
-            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          .reply(200, [
+            { name: 'Bug', color: 'd73a4a', description: null },
+            { name: 'skip-changelog', color: 'ededed', description: null },
+          ])
+          .post(
+            '/repos/toolmantim/release-drafter-test-project/labels',
+            (body) => {
+              expect(body).toEqual({
+                name: 'feature',
+                color: '0e8a16',
+                description: 'New feature or request',
+              })
+              return true
+            }
           )
-          .reply(200, graphqlCommitsPaginated2)
+          .reply(201)
+          .patch(
+            '/repos/toolmantim/release-drafter-test-project/labels/Bug',
+            (body) => {
+              expect(body).toEqual({
+                new_name: 'bug',
+                color: 'd73a4a',
+                description: "Something isn't working",
+              })
+              return true
+            }
+          )
+          .reply(200)
 
         nock('https://api.github.com')
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
-          .reply(200, [])
+          .times(2)
+          .reply(200, [releasePayload])
 
         nock('https://api.github.com')
-          .post(
-            '/repos/toolmantim/release-drafter-test-project/releases',
-            (body) => {
-              expect(body).toMatchInlineSnapshot(`
-                Object {
-                  "body": "# What's Changed
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsEmpty)
 
-                * Added great distance (#16) @toolmantim
-                * Oh hai (#15) @toolmantim
-                * ❤️ Add MOAR THINGS (#14) @toolmantim
-                * Add all the tests (#13) @toolmantim
-                * 🤖 Add robots (#12) @toolmantim
-                * 🎃 More pumpkins (#11) @toolmantim
-                * 🐄 Moar cowbell (#10) @toolmantim
-                * 1️⃣ Switch to a monorepo (#9) @toolmantim
-                * 👽 Integrate Alien technology (#8) @toolmantim
+        nock('https://api.github.com')
+          .post('/repos/toolmantim/release-drafter-test-project/releases')
+          .reply(200, releasePayload)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect(labelsScope.isDone()).toBe(true)
+        expect(logger).toContainEqual(
+          expect.objectContaining({
+            msg: expect.stringContaining(
+              "Label 'skip-changelog' is used in the config but not declared in labels"
+            ),
+          })
+        )
+      })
+
+      it('warns about the labels not declared when run as a GitHub Action', async () => {
+        const restoreEnvironment = mockedEnv({
+          GITHUB_ACTIONS: 'true',
+          'INPUT_DISABLE-RELEASER': 'true',
+        })
+        const warning = jest.spyOn(core, 'warning').mockImplementation()
+
+        getConfigMock('config-with-labels.yml')
+
+        nock('https://api.github.com')
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/labels?per_page=100'
+          )
+          .reply(200, [
+            {
+              name: 'bug',
+              color: 'd73a4a',
+              description: "Something isn't working",
+            },
+            {
+              name: 'feature',
+              color: '0e8a16',
+              description: 'New feature or request',
+            },
+          ])
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect(warning).toHaveBeenCalledWith(
+          "Label 'skip-changelog' is used in the config but not declared in labels"
+        )
+
+        warning.mockRestore()
+        restoreEnvironment()
+      })
+    })
+
+    describe('pagination', () => {
+      it('sets $CHANGES based on all commits', async () => {
+        getConfigMock('config.yml')
+
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsPaginated1)
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsPaginated2)
+
+        nock('https://api.github.com')
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+          )
+          .times(2)
+          .reply(200, [])
+
+        nock('https://api.github.com')
+          .post(
+            '/repos/toolmantim/release-drafter-test-project/releases',
+            (body) => {
+              expect(body).toMatchInlineSnapshot(`
+                Object {
+                  "body": "# What's Changed
+
+                * Added great distance (#16) @toolmantim
+                * Oh hai (#15) @toolmantim
+                * ❤️ Add MOAR THINGS (#14) @toolmantim
+                * Add all the tests (#13) @toolmantim
+                * 🤖 Add robots (#12) @toolmantim
+                * 🎃 More pumpkins (#11) @toolmantim
+                * 🐄 Moar cowbell (#10) @toolmantim
+                * 1️⃣ Switch to a monorepo (#9) @toolmantim
+                * 👽 Integrate Alien technology (#8) @toolmantim
                 * Add ⛰ technology (#7) @toolmantim
                 * 👽 Added alien technology (#6) @toolmantim
                 * 🙅🏼‍♂️ 🐄 (#5) @toolmantim
@@ -2137,6 +2628,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [])
 
         nock('https://api.github.com')
@@ -2196,6 +2688,7 @@ describe('release-drafter', () => {
         .get(
           '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
         )
+        .times(2)
         .reply(200, [])
 
       nock('https://api.github.com')
@@ -2265,6 +2758,7 @@ describe('release-drafter', () => {
         .get(
           '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
         )
+        .times(2)
         .reply(200, [])
 
       nock('https://api.github.com')
@@ -2325,102 +2819,709 @@ describe('release-drafter', () => {
           body.query.includes('query findCommitsWithAssociatedPullRequests')
         )
         .reply(200, graphqlCommitsMergeCommit)
-        .post('/graphql', (body) =>
-          body.query.includes('query findCommitsWithPathChangesQuery')
-        )
-        .reply(200, graphqlNullIncludePathMergeCommit)
-
-      nock('https://api.github.com')
-        .get(
-          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
-        )
-        .reply(200, [])
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithPathChangesQuery')
+        )
+        .reply(200, graphqlNullIncludePathMergeCommit)
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+        )
+        .times(2)
+        .reply(200, [])
+
+      nock('https://api.github.com')
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/releases',
+          (body) => {
+            expect(body).toMatchInlineSnapshot(`
+              Object {
+                "body": "# What's Changed
+              * Add documentation (#5) @TimonVS
+              * Update dependencies (#4) @TimonVS
+              * Bug fixes (#3) @TimonVS
+              * Add big feature (#2) @TimonVS
+              * 👽 Add alien technology (#1) @TimonVS
+              ",
+                "draft": true,
+                "make_latest": "true",
+                "name": "v$INPUT_VERSION (Code name: Placeholder)",
+                "prerelease": false,
+                "tag_name": "v$INPUT_VERSION",
+                "target_commitish": "refs/heads/master",
+              }
+            `)
+            return true
+          }
+        )
+        .reply(200, releasePayload)
+
+      const payload = pushPayload
+
+      await probot.receive({
+        name: 'push',
+        payload,
+      })
+
+      expect.assertions(1)
+    })
+
+    it('returns the modified paths', async () => {
+      getConfigMock('config-with-include-paths.yml')
+
+      nock('https://api.github.com')
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithAssociatedPullRequests')
+        )
+        .reply(200, graphqlCommitsMergeCommit)
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithPathChangesQuery')
+        )
+        .reply(200, graphqlIncludePathMergeCommit)
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+        )
+        .times(2)
+        .reply(200, [])
+
+      nock('https://api.github.com')
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/releases',
+          (body) => {
+            expect(body).toMatchInlineSnapshot(`
+              Object {
+                "body": "# What's Changed
+              * Add documentation (#5) @TimonVS
+              ",
+                "draft": true,
+                "make_latest": "true",
+                "name": "v$INPUT_VERSION (Code name: Placeholder)",
+                "prerelease": false,
+                "tag_name": "v$INPUT_VERSION",
+                "target_commitish": "refs/heads/master",
+              }
+            `)
+            return true
+          }
+        )
+        .reply(200, releasePayload)
+
+      const payload = pushPayload
+
+      await probot.receive({
+        name: 'push',
+        payload,
+      })
+
+      expect.assertions(1)
+    })
+
+    describe('with globs and exclude-paths', () => {
+      it('returns the PRs changing included files that are not excluded', async () => {
+        getConfigMock('config-with-exclude-paths.yml')
+
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsMergeCommit)
+          .post(
+            '/graphql',
+            (body) =>
+              body.query.includes('query findCommitsWithPathChangesQuery') &&
+              body.variables.path === 'src'
+          )
+          .reply(200, graphqlIncludePathMergeCommit)
+
+        nock('https://api.github.com')
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+          )
+          .times(2)
+          .reply(200, [])
+
+        nock('https://api.github.com')
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/commits/85811fbdba695bb97d77a5e2a963b31f538a8223'
+          )
+          .reply(200, { files: [{ filename: 'src/5.md' }] })
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/commits/ed3afcd36c808eeb15aaf74f8713b85de06f0a19'
+          )
+          .reply(200, {
+            files: [{ filename: 'src/5.md' }, { filename: 'src/5.js' }],
+          })
+
+        nock('https://api.github.com')
+          .post(
+            '/repos/toolmantim/release-drafter-test-project/releases',
+            (body) => {
+              expect(body.body).toMatchInlineSnapshot(`
+                "# What's Changed
+                * Add documentation (#5) @TimonVS
+                "
+              `)
+              return true
+            }
+          )
+          .reply(200, releasePayload)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect.assertions(1)
+      })
+
+      it('skips the PRs only changing excluded files', async () => {
+        getConfigMock('config-with-exclude-paths.yml')
+
+        nock('https://api.github.com')
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithAssociatedPullRequests')
+          )
+          .reply(200, graphqlCommitsMergeCommit)
+          .post('/graphql', (body) =>
+            body.query.includes('query findCommitsWithPathChangesQuery')
+          )
+          .reply(200, graphqlIncludePathMergeCommit)
+
+        nock('https://api.github.com')
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+          )
+          .times(2)
+          .reply(200, [])
+
+        nock('https://api.github.com')
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/commits/85811fbdba695bb97d77a5e2a963b31f538a8223'
+          )
+          .reply(200, { files: [{ filename: 'src/5.md' }] })
+          .get(
+            '/repos/toolmantim/release-drafter-test-project/commits/ed3afcd36c808eeb15aaf74f8713b85de06f0a19'
+          )
+          .reply(200, { files: [{ filename: 'src/docs/5.md' }] })
+
+        nock('https://api.github.com')
+          .post(
+            '/repos/toolmantim/release-drafter-test-project/releases',
+            (body) => {
+              expect(body.body).toMatchInlineSnapshot(`
+                "# What's Changed
+                * No changes
+                "
+              `)
+              return true
+            }
+          )
+          .reply(200, releasePayload)
+
+        await probot.receive({
+          name: 'push',
+          payload: pushPayload,
+        })
+
+        expect.assertions(1)
+      })
+    })
+  })
+
+  describe('with packages config', () => {
+    it('drafts a release per package', async () => {
+      getConfigMock('config-with-packages.yml')
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+        )
+        .times(2)
+        .reply(200, [
+          {
+            ...releasePayload,
+            tag_name: 'billing-v1.0.0',
+            created_at: '2019-04-27T13:04:00Z',
+          },
+          { ...releaseDrafterFixture, tag_name: 'auth-v0.1.0' },
+          { ...releasePayload, id: 2, tag_name: 'auth-v0.1.0' },
+        ])
+
+      nock('https://api.github.com')
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithAssociatedPullRequests')
+        )
+        .reply(200, graphqlCommitsMergeCommit)
+        .post(
+          '/graphql',
+          (body) =>
+            body.query.includes('query findCommitsWithPathChangesQuery') &&
+            body.variables.path === 'src/5.md' &&
+            body.variables.since === '2019-04-27T13:04:00Z'
+        )
+        .reply(200, graphqlIncludePathMergeCommit)
+
+      nock('https://api.github.com')
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/releases',
+          (body) => {
+            expect(body).toMatchInlineSnapshot(`
+              Object {
+                "body": "# What's Changed
+
+              * Add documentation (#5) @TimonVS
+              ",
+                "draft": true,
+                "make_latest": "true",
+                "name": "Billing v1.0.1",
+                "prerelease": false,
+                "tag_name": "billing-v1.0.1",
+                "target_commitish": "refs/heads/master",
+              }
+            `)
+            return true
+          }
+        )
+        .reply(200, releasePayload)
+        .patch(
+          `/repos/toolmantim/release-drafter-test-project/releases/${releaseDrafterFixture.id}`,
+          (body) => {
+            expect(body).toMatchInlineSnapshot(`
+              Object {
+                "body": "# What's Changed
+
+              * Add documentation (#5)
+              * Update dependencies (#4)
+              * Bug fixes (#3)
+              * Add big feature (#2)
+              * 👽 Add alien technology (#1)
+              ",
+                "draft": true,
+                "make_latest": "true",
+                "name": "Auth v0.1.1",
+                "prerelease": false,
+                "tag_name": "auth-v0.1.1",
+                "target_commitish": "refs/heads/master",
+              }
+            `)
+            return true
+          }
+        )
+        .reply(200, releaseDrafterFixture)
+
+      await probot.receive({
+        name: 'push',
+        payload: pushPayload,
+      })
+
+      expect.assertions(2)
+    })
+
+    it('fetches the whole history when a package has no release', async () => {
+      const restoreEnvironment = mockedEnv({ INPUT_VERSION: '9.9.9' })
+      getConfigMock('config-with-packages.yml')
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+        )
+        // the drafts are listed again after creating each of them
+        .times(3)
+        .reply(200, [
+          {
+            ...releasePayload,
+            tag_name: 'billing-v1.0.0',
+            created_at: '2019-04-27T13:04:00Z',
+          },
+        ])
+
+      nock('https://api.github.com')
+        .post(
+          '/graphql',
+          (body) =>
+            body.query.includes(
+              'query findCommitsWithAssociatedPullRequests'
+            ) && body.variables.since === undefined
+        )
+        .reply(200, graphqlCommitsMergeCommit)
+        .post(
+          '/graphql',
+          (body) =>
+            body.query.includes('query findCommitsWithPathChangesQuery') &&
+            body.variables.since === '2019-04-27T13:04:00Z'
+        )
+        .reply(200, graphqlIncludePathMergeCommit)
+
+      const tagNames = []
+      nock('https://api.github.com')
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/releases',
+          (body) => {
+            tagNames.push(body.tag_name)
+            return true
+          }
+        )
+        .times(2)
+        .reply(200, releasePayload)
+
+      await probot.receive({
+        name: 'push',
+        payload: pushPayload,
+      })
+
+      expect(tagNames).toEqual(['billing-v1.0.1', 'auth-v0.1.0'])
+      restoreEnvironment()
+    })
+  })
+
+  describe('with closing issues in the templates', () => {
+    it('lists the issues closed by the pull requests', async () => {
+      getConfigMock('config-with-fixed-issues.yml')
+
+      nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/releases')
+        .query(true)
+        .times(2)
+        .reply(200, [releasePayload])
+
+      nock('https://api.github.com')
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithAssociatedPullRequests')
+        )
+        .reply(200, graphqlCommitsMergeCommit)
+        .post('/graphql', (body) => {
+          if (!body.query.includes('query findClosingIssues')) {
+            return false
+          }
+          expect(body.query).toMatch(/pr5: pullRequest\(number: 5\)/)
+          return true
+        })
+        .reply(200, {
+          data: {
+            repository: {
+              ...Object.fromEntries(
+                [5, 4, 2, 1].map((number) => [
+                  `pr${number}`,
+                  { closingIssuesReferences: { nodes: [] } },
+                ])
+              ),
+              pr3: {
+                closingIssuesReferences: {
+                  nodes: [
+                    {
+                      title: 'Crash on startup',
+                      number: 42,
+                      url: 'https://github.com/toolmantim/release-drafter-test-project/issues/42',
+                      repository: {
+                        nameWithOwner:
+                          'toolmantim/release-drafter-test-project',
+                      },
+                      labels: { nodes: [] },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        })
+
+      nock('https://api.github.com')
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/releases',
+          (body) => {
+            expect(body.body).toMatchInlineSnapshot(`
+              "# What's Changed
+
+              * Add documentation (#5)
+              * Update dependencies (#4)
+              * Bug fixes (#3) #42
+              * Add big feature (#2)
+              * 👽 Add alien technology (#1)
+
+              # Fixed Issues
+
+              * Crash on startup (#42)
+              "
+            `)
+            return true
+          }
+        )
+        .reply(200, releasePayload)
+
+      await probot.receive({
+        name: 'push',
+        payload: pushPayload,
+      })
+
+      expect.assertions(2)
+    })
+  })
+
+  describe('with commit-template config', () => {
+    it('lists the commits without pull requests', async () => {
+      getConfigMock('config-with-commit-template.yml')
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+        )
+        .times(2)
+        .reply(200, [])
+
+      nock('https://api.github.com')
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithAssociatedPullRequests')
+        )
+        .reply(200, graphqlCommitsMergeCommit)
+
+      nock('https://api.github.com')
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/releases',
+          (body) => {
+            expect(body.body).toMatchInlineSnapshot(`
+              "# What's Changed
+
+              * Add documentation (#5) @TimonVS
+              * Update dependencies (#4) @TimonVS
+              * Bug fixes (#3) @TimonVS
+              * Add big feature (#2) @TimonVS
+              * 👽 Add alien technology (#1) @TimonVS
+
+              ## Other Changes
+
+              * Add project description to README (3abba59) @Ada Lovelace
+              * Initial commit (b9ab60e) @TimonVS
+              "
+            `)
+            return true
+          }
+        )
+        .reply(200, releasePayload)
+
+      await probot.receive({
+        name: 'push',
+        payload: pushPayload,
+      })
+
+      expect.assertions(1)
+    })
+  })
+
+  describe('with version-constraints config', () => {
+    it('starts from the lowest version of a range without release', async () => {
+      getConfigMock('config-with-version-constraints.yml')
+
+      nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/releases')
+        .query(true)
+        .times(2)
+        .reply(200, [releasePayload])
+
+      nock('https://api.github.com')
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithAssociatedPullRequests')
+        )
+        .reply(200, graphqlCommitsMergeCommit)
+
+      nock('https://api.github.com')
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/releases',
+          (body) => {
+            expect(body).toMatchObject({ tag_name: 'v3.0.0', name: 'v3.0.0' })
+            return true
+          }
+        )
+        .reply(200, releasePayload)
+
+      await probot.receive({
+        name: 'push',
+        payload: pushPayload,
+      })
+
+      expect.assertions(1)
+    })
+  })
+
+  describe('with commit-range compare config', () => {
+    it('lists the pull requests of the commits since the last release tag', async () => {
+      getConfigMock('config-with-commit-range-compare.yml')
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+        )
+        .times(2)
+        .reply(200, [releasePayload])
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/compare/v2.0.0...master?per_page=100&page=1'
+        )
+        .reply(200, {
+          status: 'ahead',
+          total_commits: 3,
+          merge_base_commit: {
+            sha: '3abba5918ff7d12fab322057fbdc23b535e76d01',
+          },
+          commits: [
+            compareCommit(
+              'd01bcfcc7731dec3b9869f9e1da6029aa6677240',
+              '2019-04-27T13:00:49Z'
+            ),
+            compareCommit(
+              '48e905605d88925b522c2b00f646f744fd976d21',
+              '2019-04-27T13:11:38Z'
+            ),
+            compareCommit(
+              '00de634cb5f3c0b854eb30b0afe5b1816e372ed3',
+              '2019-04-27T13:12:07Z'
+            ),
+          ],
+        })
+
+      nock('https://api.github.com')
+        .post('/graphql', (body) => {
+          expect(body.variables.since).toBe('2019-04-27T13:00:49Z')
+          return body.query.includes(
+            'query findCommitsWithAssociatedPullRequests'
+          )
+        })
+        .reply(200, graphqlCommitsMergeCommit)
+
+      nock('https://api.github.com')
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/releases',
+          (body) => {
+            expect(body.body).toMatchInlineSnapshot(`
+              "# What's Changed
+
+              * Add documentation (#5) @TimonVS
+              * Add big feature (#2) @TimonVS
+              "
+            `)
+            return true
+          }
+        )
+        .reply(200, releasePayload)
+
+      await probot.receive({
+        name: 'push',
+        payload: pushPayload,
+      })
+
+      expect.assertions(2)
+    })
+
+    it('uses the merge base when the last release tag is not an ancestor', async () => {
+      getConfigMock('config-with-commit-range-compare.yml')
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+        )
+        .times(2)
+        .reply(200, [releasePayload])
+
+      nock('https://api.github.com')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/compare/v2.0.0...master?per_page=100&page=1'
+        )
+        .reply(200, {
+          status: 'diverged',
+          total_commits: 1,
+          merge_base_commit: {
+            sha: '3abba5918ff7d12fab322057fbdc23b535e76d01',
+          },
+          commits: [
+            compareCommit(
+              '00de634cb5f3c0b854eb30b0afe5b1816e372ed3',
+              '2019-04-27T13:12:07Z'
+            ),
+          ],
+        })
+
+      nock('https://api.github.com')
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithAssociatedPullRequests')
+        )
+        .reply(200, graphqlCommitsMergeCommit)
 
       nock('https://api.github.com')
         .post(
           '/repos/toolmantim/release-drafter-test-project/releases',
           (body) => {
-            expect(body).toMatchInlineSnapshot(`
-              Object {
-                "body": "# What's Changed
+            expect(body.body).toMatchInlineSnapshot(`
+              "# What's Changed
+
               * Add documentation (#5) @TimonVS
-              * Update dependencies (#4) @TimonVS
-              * Bug fixes (#3) @TimonVS
-              * Add big feature (#2) @TimonVS
-              * 👽 Add alien technology (#1) @TimonVS
-              ",
-                "draft": true,
-                "make_latest": "true",
-                "name": "v$INPUT_VERSION (Code name: Placeholder)",
-                "prerelease": false,
-                "tag_name": "v$INPUT_VERSION",
-                "target_commitish": "refs/heads/master",
-              }
+              "
             `)
             return true
           }
         )
         .reply(200, releasePayload)
 
-      const payload = pushPayload
-
       await probot.receive({
         name: 'push',
-        payload,
+        payload: pushPayload,
       })
 
-      expect.assertions(1)
+      expect(logger).toContainEqual(
+        expect.objectContaining({
+          msg: expect.stringContaining(
+            'v2.0.0 is not an ancestor of refs/heads/master, using the commits since their merge base 3abba5918ff7d12fab322057fbdc23b535e76d01'
+          ),
+        })
+      )
     })
 
-    it('returns the modified paths', async () => {
-      getConfigMock('config-with-include-paths.yml')
+    it('creates an empty draft when there are no commits since the last release tag', async () => {
+      getConfigMock('config-with-commit-range-compare.yml')
 
       nock('https://api.github.com')
-        .post('/graphql', (body) =>
-          body.query.includes('query findCommitsWithAssociatedPullRequests')
-        )
-        .reply(200, graphqlCommitsMergeCommit)
-        .post('/graphql', (body) =>
-          body.query.includes('query findCommitsWithPathChangesQuery')
+        .get(
+          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
         )
-        .reply(200, graphqlIncludePathMergeCommit)
+        .times(2)
+        .reply(200, [releasePayload])
 
-      nock('https://api.github.com')
+      const compareScope = nock('https://api.github.com')
         .get(
-          '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
+          '/repos/toolmantim/release-drafter-test-project/compare/v2.0.0...master?per_page=100&page=1'
         )
-        .reply(200, [])
+        .reply(200, {
+          status: 'identical',
+          total_commits: 0,
+          merge_base_commit: {
+            sha: '00de634cb5f3c0b854eb30b0afe5b1816e372ed3',
+          },
+          commits: [],
+        })
 
       nock('https://api.github.com')
         .post(
           '/repos/toolmantim/release-drafter-test-project/releases',
           (body) => {
-            expect(body).toMatchInlineSnapshot(`
-              Object {
-                "body": "# What's Changed
-              * Add documentation (#5) @TimonVS
-              ",
-                "draft": true,
-                "make_latest": "true",
-                "name": "v$INPUT_VERSION (Code name: Placeholder)",
-                "prerelease": false,
-                "tag_name": "v$INPUT_VERSION",
-                "target_commitish": "refs/heads/master",
-              }
+            expect(body.body).toMatchInlineSnapshot(`
+              "# What's Changed
+
+              * No changes
+              "
             `)
             return true
           }
         )
         .reply(200, releasePayload)
 
-      const payload = pushPayload
-
       await probot.receive({
         name: 'push',
-        payload,
+        payload: pushPayload,
       })
 
-      expect.assertions(1)
+      expect(compareScope.isDone()).toBe(true)
     })
   })
 
@@ -2444,6 +3545,7 @@ describe('release-drafter', () => {
         .get(
           '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
         )
+        .times(2)
         .reply(200, [])
 
       nock('https://api.github.com')
@@ -2479,6 +3581,7 @@ describe('release-drafter', () => {
         .get(
           '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
         )
+        .times(2)
         .reply(200, [])
 
       nock('https://api.github.com')
@@ -2562,6 +3665,7 @@ describe('release-drafter', () => {
       nock('https://api.github.com')
         .get('/repos/toolmantim/release-drafter-test-project/releases')
         .query(true)
+        .times(2)
         .reply(200, [releasePayload])
         .post(
           '/repos/toolmantim/release-drafter-test-project/releases',
@@ -2570,7 +3674,8 @@ describe('release-drafter', () => {
             expect(body).toMatchInlineSnapshot(`
               Object {
                 "body": "# There's new stuff!
-              ",
+
+              <!-- release-drafter:draft-key config-name-input -->",
                 "draft": true,
                 "make_latest": "true",
                 "name": "",
@@ -2596,6 +3701,52 @@ describe('release-drafter', () => {
 
       restoreEnvironment()
     })
+
+    it('updates the draft keyed with the config name', async () => {
+      let restoreEnvironment = mockedEnv({
+        'INPUT_CONFIG-NAME': 'config-name-input.yml',
+      })
+
+      getConfigMock('config-name-input.yml', 'config-name-input.yml')
+
+      nock('https://api.github.com')
+        .post('/graphql', (body) =>
+          body.query.includes('query findCommitsWithAssociatedPullRequests')
+        )
+        .reply(200, graphqlCommitsNoPRsPayload)
+
+      const keyedDraft = {
+        ...releaseDrafterFixture,
+        id: 2,
+        body: 'Notes\n\n<!-- release-drafter:draft-key config-name-input -->',
+      }
+      const scope = nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/releases')
+        .query(true)
+        .reply(200, [releaseDrafterFixture, keyedDraft])
+        .patch(
+          '/repos/toolmantim/release-drafter-test-project/releases/2',
+          (body) => {
+            expect(body.body).toMatchInlineSnapshot(`
+              "# There's new stuff!
+
+              <!-- release-drafter:draft-key config-name-input -->"
+            `)
+            return true
+          }
+        )
+        .reply(200, keyedDraft)
+
+      await probot.receive({
+        name: 'push',
+        payload: pushPayload,
+      })
+
+      expect(scope.isDone()).toBe(true)
+      expect.assertions(2)
+
+      restoreEnvironment()
+    })
   })
 
   const overridesTest = async (overrides, expectedBody) => {
@@ -2647,6 +3798,8 @@ describe('release-drafter', () => {
     nock('https://api.github.com')
       .get('/repos/toolmantim/release-drafter-test-project/releases')
       .query(true)
+      // the drafts are listed again after creating one
+      .times(overrides && overrides.publish === 'true' ? 1 : 2)
       .reply(200, [releasePayload])
 
     nock('https://api.github.com')
@@ -2937,6 +4090,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [])
           .post(
             '/repos/toolmantim/release-drafter-test-project/releases',
@@ -2994,6 +4148,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
           .post(
             '/repos/toolmantim/release-drafter-test-project/releases',
@@ -3049,6 +4204,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [])
           .post(
             '/repos/toolmantim/release-drafter-test-project/releases',
@@ -3102,6 +4258,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [releasePayload])
           .post(
             '/repos/toolmantim/release-drafter-test-project/releases',
@@ -3163,6 +4320,7 @@ describe('release-drafter', () => {
         nock('https://api.github.com')
           .get('/repos/toolmantim/release-drafter-test-project/releases')
           .query(true)
+          .times(2)
           .reply(200, [alteredReleasePayload])
           .post(
             '/repos/toolmantim/release-drafter-test-project/releases',
@@ -3203,6 +4361,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -3245,6 +4404,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -3287,6 +4447,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -3329,6 +4490,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -3372,6 +4534,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -3417,6 +4580,7 @@ describe('release-drafter', () => {
           .get(
             '/repos/toolmantim/release-drafter-test-project/releases?per_page=100'
           )
+          .times(2)
           .reply(200, [releasePayload])
 
         nock('https://api.github.com')
@@ -3454,4 +4618,337 @@ describe('release-drafter', () => {
       })
     })
   })
+
+  describe('pull_request', () => {
+    beforeEach(() => {
+      // the login of the app is looked up once
+      nock('https://api.github.com')
+        .get('/app')
+        .optionally()
+        .reply(200, { slug: 'release-drafter' })
+    })
+
+    it('adds the matching labels before removing the stale ones', async () => {
+      getConfigMock('config-with-autolabeler.yml')
+
+      const requests = []
+      const scope = nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/pulls/42/files')
+        .query(true)
+        .reply(200, [{ filename: 'README.md', additions: 1, deletions: 0 }])
+        .get('/repos/toolmantim/release-drafter-test-project/issues/42/events')
+        .query(true)
+        .reply(200, [
+          {
+            event: 'labeled',
+            label: { name: 'bug' },
+            actor: { login: 'release-drafter[bot]', type: 'Bot' },
+          },
+        ])
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/issues/42/labels',
+          (body) => {
+            requests.push('add')
+            expect(body).toEqual({ labels: ['feature'] })
+            return true
+          }
+        )
+        .reply(200, [{ name: 'feature' }])
+        .delete(
+          '/repos/toolmantim/release-drafter-test-project/issues/42/labels/bug'
+        )
+        .reply(200, () => {
+          requests.push('remove')
+          return []
+        })
+        .post(
+          `/repos/toolmantim/release-drafter-test-project/statuses/${pullRequestPayload.pull_request.head.sha}`,
+          (body) => {
+            expect(body).toMatchObject({
+              state: 'success',
+              description: 'Labeled with feature',
+            })
+            return true
+          }
+        )
+        .reply(201, {})
+
+      await probot.receive({
+        name: 'pull_request',
+        payload: pullRequestWithLabels('bug'),
+      })
+
+      expect(requests).toEqual(['add', 'remove'])
+      expect(scope.isDone()).toBe(true)
+      expect.assertions(4)
+    })
+
+    it('sets the labels and removed_labels outputs', async () => {
+      const restoreEnvironment = mockedEnv({
+        GITHUB_ACTIONS: 'true',
+        'INPUT_DISABLE-RELEASER': 'true',
+      })
+      const setOutput = jest.spyOn(core, 'setOutput').mockImplementation()
+
+      // the drafter runs on every event in GitHub Actions
+      getConfigMock('config-with-autolabeler.yml')
+      getConfigMock('config-with-autolabeler.yml')
+
+      nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/pulls/42/files')
+        .query(true)
+        .reply(200, [{ filename: 'README.md', additions: 1, deletions: 0 }])
+        .get('/repos/toolmantim/release-drafter-test-project/issues/42/events')
+        .query(true)
+        .reply(200, [
+          {
+            event: 'labeled',
+            label: { name: 'bug' },
+            actor: { login: 'github-actions[bot]', type: 'Bot' },
+          },
+        ])
+        .post('/repos/toolmantim/release-drafter-test-project/issues/42/labels')
+        .reply(200, [{ name: 'feature' }])
+        .delete(
+          '/repos/toolmantim/release-drafter-test-project/issues/42/labels/bug'
+        )
+        .reply(200, [])
+        .post(
+          `/repos/toolmantim/release-drafter-test-project/statuses/${pullRequestPayload.pull_request.head.sha}`
+        )
+        .reply(201, {})
+
+      await probot.receive({
+        name: 'pull_request',
+        payload: pullRequestWithLabels('bug'),
+      })
+
+      expect(setOutput.mock.calls).toEqual([
+        ['number', 42],
+        ['labels', 'feature'],
+        ['removed_labels', 'bug'],
+      ])
+
+      setOutput.mockRestore()
+      restoreEnvironment()
+    })
+
+    it('keeps the stale labels applied by people', async () => {
+      getConfigMock('config-with-autolabeler.yml')
+
+      const scope = nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/pulls/42/files')
+        .query(true)
+        .reply(200, [{ filename: 'README.md', additions: 1, deletions: 0 }])
+        .get('/repos/toolmantim/release-drafter-test-project/issues/42/events')
+        .query(true)
+        .reply(200, [
+          {
+            event: 'labeled',
+            label: { name: 'bug' },
+            actor: { login: 'octocat', type: 'User' },
+          },
+        ])
+        .post('/repos/toolmantim/release-drafter-test-project/issues/42/labels')
+        .reply(200, [{ name: 'feature' }])
+        .post(
+          `/repos/toolmantim/release-drafter-test-project/statuses/${pullRequestPayload.pull_request.head.sha}`,
+          (body) => {
+            expect(body.description).toEqual('Labeled with bug, feature')
+            return true
+          }
+        )
+        .reply(201, {})
+
+      await probot.receive({
+        name: 'pull_request',
+        payload: pullRequestWithLabels('bug'),
+      })
+
+      expect(scope.isDone()).toBe(true)
+      expect.assertions(2)
+    })
+
+    it('keeps the stale labels applied by other bots', async () => {
+      getConfigMock('config-with-autolabeler.yml')
+
+      const scope = nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/pulls/42/files')
+        .query(true)
+        .reply(200, [{ filename: 'README.md', additions: 1, deletions: 0 }])
+        .get('/repos/toolmantim/release-drafter-test-project/issues/42/events')
+        .query(true)
+        .reply(200, [
+          {
+            event: 'labeled',
+            label: { name: 'bug' },
+            actor: { login: 'renovate[bot]', type: 'Bot' },
+          },
+        ])
+        .post('/repos/toolmantim/release-drafter-test-project/issues/42/labels')
+        .reply(200, [{ name: 'feature' }])
+        .post(
+          `/repos/toolmantim/release-drafter-test-project/statuses/${pullRequestPayload.pull_request.head.sha}`,
+          (body) => {
+            expect(body.description).toEqual('Labeled with bug, feature')
+            return true
+          }
+        )
+        .reply(201, {})
+
+      await probot.receive({
+        name: 'pull_request',
+        payload: pullRequestWithLabels('bug'),
+      })
+
+      expect(scope.isDone()).toBe(true)
+      expect.assertions(2)
+    })
+
+    it('uses the next label of an exclusive group when the first is removed', async () => {
+      getConfigMock('config-with-autolabeler-exclusive-groups.yml')
+
+      const scope = nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/pulls/42/files')
+        .query(true)
+        .reply(200, [{ filename: 'README.md', additions: 1, deletions: 0 }])
+        .get('/repos/toolmantim/release-drafter-test-project/issues/42/events')
+        .query(true)
+        .reply(200, [
+          {
+            event: 'labeled',
+            label: { name: 'bug' },
+            actor: { login: 'release-drafter[bot]', type: 'Bot' },
+          },
+        ])
+        .post(
+          '/repos/toolmantim/release-drafter-test-project/issues/42/labels',
+          (body) => {
+            expect(body).toEqual({ labels: ['feature'] })
+            return true
+          }
+        )
+        .reply(200, [{ name: 'feature' }])
+        .delete(
+          '/repos/toolmantim/release-drafter-test-project/issues/42/labels/bug'
+        )
+        .reply(200, [])
+        .post(
+          `/repos/toolmantim/release-drafter-test-project/statuses/${pullRequestPayload.pull_request.head.sha}`,
+          (body) => {
+            expect(body.description).toEqual('Labeled with feature')
+            return true
+          }
+        )
+        .reply(201, {})
+
+      await probot.receive({
+        name: 'pull_request',
+        payload: pullRequestWithLabels('bug'),
+      })
+
+      expect(scope.isDone()).toBe(true)
+      expect.assertions(3)
+    })
+
+    it('keeps the label of an exclusive group added by hand', async () => {
+      getConfigMock('config-with-autolabeler-exclusive-groups.yml')
+
+      const scope = nock('https://api.github.com')
+        .get('/repos/toolmantim/release-drafter-test-project/pulls/42/files')
+        .query(true)
+        .reply(200, [{ filename: 'README.md', additions: 1, deletions: 0 }])
+        .get('/repos/toolmantim/release-drafter-test-project/issues/42/events')
+        .query(true)
+        .reply(200, [
+          {
+            event: 'labeled',
+            label: { name: 'bug' },
+            actor: { login: 'octocat', type: 'User' },
+          },
+          {
+            event: 'labeled',
+            label: { name: 'feature' },
+            actor: { login: 'octocat', type: 'User' },
+          },
+        ])
+        .delete(
+          '/repos/toolmantim/release-drafter-test-project/issues/42/labels/bug'
+        )
+        .reply(200, [])
+        .post(
+          `/repos/toolmantim/release-drafter-test-project/statuses/${pullRequestPayload.pull_request.head.sha}`,
+          (body) => {
+            expect(body.description).toEqual('Labeled with feature')
+            return true
+          }
+        )
+        .reply(201, {})
+
+      await probot.receive({
+        name: 'pull_request',
+        payload: {
+          ...pullRequestWithLabels('bug', 'feature'),
+          action: 'labeled',
+          label: { name: 'feature' },
+        },
+      })
+
+      expect(scope.isDone()).toBe(true)
+      expect.assertions(2)
+    })
+
+    it('ignores label changes made by bots', async () => {
+      getConfigMock('config-with-autolabeler-exclusive-groups.yml')
+
+      const scope = nock('https://api.github.com')
+        .post(
+          `/repos/toolmantim/release-drafter-test-project/statuses/${pullRequestPayload.pull_request.head.sha}`,
+          (body) => {
+            expect(body.description).toEqual('Labeled with bug, feature')
+            return true
+          }
+        )
+        .reply(201, {})
+
+      await probot.receive({
+        name: 'pull_request',
+        payload: {
+          ...pullRequestWithLabels('bug', 'feature'),
+          action: 'labeled',
+          label: { name: 'feature' },
+          sender: { login: 'release-drafter[bot]', type: 'Bot' },
+        },
+      })
+
+      expect(scope.isDone()).toBe(true)
+      expect.assertions(2)
+    })
+
+    it('skips the autolabeler with the disable-autolabeler input', async () => {
+      const restoreEnvironment = mockedEnv({
+        'INPUT_DISABLE-AUTOLABELER': 'true',
+      })
+      getConfigMock('config-with-autolabeler.yml')
+
+      const scope = nock('https://api.github.com')
+        .post(
+          `/repos/toolmantim/release-drafter-test-project/statuses/${pullRequestPayload.pull_request.head.sha}`,
+          (body) => {
+            expect(body.state).toEqual('failure')
+            return true
+          }
+        )
+        .reply(201, {})
+
+      await probot.receive({
+        name: 'pull_request',
+        payload: pullRequestPayload,
+      })
+
+      expect(scope.isDone()).toBe(true)
+      expect.assertions(2)
+      restoreEnvironment()
+    })
+  })
 })
@@ -0,0 +1,150 @@
+const {
+  generatePreview,
+  createOrUpdatePreviewComment,
+} = require('../lib/preview-comment')
+const { DEFAULT_CONFIG } = require('../lib/default-config')
+
+const config = {
+  ...DEFAULT_CONFIG,
+  template: '$CHANGES',
+  'tag-template': 'v$RESOLVED_VERSION',
+  categories: [
+    { title: '🚀 Features', labels: ['feature'] },
+    { title: '🐛 Bug Fixes', labels: ['bug'] },
+  ],
+  'version-resolver': {
+    major: { labels: ['breaking'] },
+    minor: { labels: ['feature'] },
+    patch: { labels: ['bug'] },
+    default: 'patch',
+  },
+  'exclude-labels': ['skip-changelog'],
+}
+
+const pullRequest = {
+  number: 42,
+  title: 'Add alien technology',
+  body: 'Beam me up',
+  html_url: 'https://github.com/test/test/pull/42',
+  user: { login: 'octocat', type: 'User' },
+  base: { ref: 'master' },
+  head: { ref: 'alien-tech', sha: 'abc123' },
+  labels: [],
+}
+
+const buildContext = () => ({
+  payload: {
+    repository: { full_name: 'test/test' },
+    pull_request: pullRequest,
+  },
+  repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+  issue: (object) => ({ owner: 'test', repo: 'test', ...object }),
+  log: { info: jest.fn() },
+  octokit: {
+    paginate: jest.fn(),
+    repos: { listReleases: { endpoint: { merge: jest.fn() } } },
+    issues: {
+      listComments: { endpoint: { merge: jest.fn() } },
+      createComment: jest.fn(),
+      updateComment: jest.fn(),
+    },
+  },
+})
+
+const lastRelease = {
+  tag_name: 'v1.4.2',
+  draft: false,
+  prerelease: false,
+}
+
+describe('preview-comment', () => {
+  describe('generatePreview', () => {
+    it('shows the entry, category and version impact', () => {
+      const preview = generatePreview({
+        config,
+        pullRequest: {
+          title: 'Add alien technology',
+          number: 42,
+          author: { login: 'octocat' },
+          labels: { nodes: [{ name: 'feature' }] },
+        },
+        lastRelease,
+      })
+
+      expect(preview).toMatchInlineSnapshot(`
+        "<!-- release-drafter:preview -->
+
+        ### Release notes preview
+
+        This pull request will appear in the next release as:
+
+        * Add alien technology (#42) @octocat
+
+        **Category:** 🚀 Features
+        **Version:** minor (v1.4.2 → v1.5.0)"
+      `)
+    })
+
+    it('mentions excluded pull requests', () => {
+      const preview = generatePreview({
+        config,
+        pullRequest: {
+          title: 'Add alien technology',
+          number: 42,
+          author: { login: 'octocat' },
+          labels: { nodes: [{ name: 'skip-changelog' }] },
+        },
+        lastRelease,
+      })
+
+      expect(preview).toContain(
+        'This pull request is excluded from the release notes.'
+      )
+    })
+  })
+
+  describe('createOrUpdatePreviewComment', () => {
+    it('creates the comment when there is none', async () => {
+      const context = buildContext()
+      context.octokit.paginate
+        .mockResolvedValueOnce([lastRelease])
+        .mockResolvedValueOnce([{ id: 1, body: 'LGTM' }])
+
+      await createOrUpdatePreviewComment({
+        context,
+        config,
+        labels: ['breaking'],
+      })
+
+      expect(context.octokit.issues.updateComment).not.toHaveBeenCalled()
+      expect(context.octokit.issues.createComment).toHaveBeenCalledWith({
+        owner: 'test',
+        repo: 'test',
+        issue_number: 42,
+        body: expect.stringContaining(
+          '**Category:** Uncategorized\n**Version:** major (v1.4.2 → v2.0.0)'
+        ),
+      })
+    })
+
+    it('updates the existing comment in place', async () => {
+      const context = buildContext()
+      context.octokit.paginate
+        .mockResolvedValueOnce([lastRelease])
+        .mockResolvedValueOnce([
+          { id: 1, body: 'LGTM' },
+          { id: 2, body: '<!-- release-drafter:preview -->\n\nOutdated' },
+        ])
+
+      await createOrUpdatePreviewComment({ context, config, labels: ['bug'] })
+
+      expect(context.octokit.issues.createComment).not.toHaveBeenCalled()
+      expect(context.octokit.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'test',
+        repo: 'test',
+        comment_id: 2,
+        body: expect.stringContaining('**Version:** patch (v1.4.2 → v1.4.3)'),
+      })
+    })
+  })
+})
@@ -1,4 +1,9 @@
-const { generateChangeLog, findReleases } = require('../lib/releases')
+const {
+  generateChangeLog,
+  generateFixedIssues,
+  findReleases,
+  resolveVersionKeyIncrement,
+} = require('../lib/releases')
 const { DEFAULT_CONFIG } = require('../lib/default-config')
 
 const pullRequests = [
@@ -96,6 +101,14 @@ const pullRequests = [
     headRefName: 'dependabot/go_modules/examples/golang.org/x/crypto-0.17.0',
   },
 ]
+const issue = (number, labels, nameWithOwner = 'test/test') => ({
+  title: `Issue ${number}`,
+  number,
+  url: `https://github.com/${nameWithOwner}/issues/${number}`,
+  repository: { nameWithOwner },
+  labels: { nodes: labels.map((name) => ({ name })) },
+})
+
 const baseConfig = {
   ...DEFAULT_CONFIG,
   template: '$CHANGES',
@@ -257,6 +270,174 @@ describe('releases', () => {
         * Adds @nullable annotations to the 1*1+2*4 test in \`tests.java\` (#0) @Happypig375"
       `)
     })
+
+    describe('with commits without pull requests', () => {
+      const commits = [
+        {
+          oid: '3abba5918ff7d12fab322057fbdc23b535e76d01',
+          url: 'https://github.com/commit/3abba5918ff7d12fab322057fbdc23b535e76d01',
+          message: 'Fix typo in *README*\n\nPushed from the command line',
+          author: { name: 'Jane Doe', user: null },
+        },
+        {
+          oid: 'b9ab60ee4b8f3fa8428644465bdb5a88d72e653a',
+          url: 'https://github.com/commit/b9ab60ee4b8f3fa8428644465bdb5a88d72e653a',
+          message: 'Bump version',
+          author: { name: 'Timon van Spronsen', user: { login: 'TimonVS' } },
+        },
+      ]
+      const config = {
+        ...baseConfig,
+        'change-title-escapes': '*',
+        'commit-template': '* $MESSAGE_HEADLINE ([$SHORT_SHA]($URL)) @$AUTHOR',
+        categories: [{ title: 'Bugs', labels: ['bug'] }],
+      }
+
+      it('lists the commits with the uncategorized pull requests', () => {
+        const changelog = generateChangeLog(
+          pullRequests.slice(0, 3),
+          config,
+          commits
+        )
+        expect(changelog).toMatchInlineSnapshot(`
+          "* B2 (#2) @ghost
+          * Fix typo in \\\\*README\\\\* ([3abba59](https://github.com/commit/3abba5918ff7d12fab322057fbdc23b535e76d01)) @Jane Doe
+          * Bump version ([b9ab60e](https://github.com/commit/b9ab60ee4b8f3fa8428644465bdb5a88d72e653a)) @TimonVS
+
+          ## Bugs
+
+          * A1 (#1) @ghost
+          * Adds missing <example> (#3) @jetersen"
+        `)
+      })
+
+      it('lists the commits in their own category', () => {
+        const changelog = generateChangeLog(
+          pullRequests.slice(0, 3),
+          { ...config, 'commit-category': 'Other Changes' },
+          commits
+        )
+        expect(changelog).toMatchInlineSnapshot(`
+          "* B2 (#2) @ghost
+
+          ## Bugs
+
+          * A1 (#1) @ghost
+          * Adds missing <example> (#3) @jetersen
+
+          ## Other Changes
+
+          * Fix typo in \\\\*README\\\\* ([3abba59](https://github.com/commit/3abba5918ff7d12fab322057fbdc23b535e76d01)) @Jane Doe
+          * Bump version ([b9ab60e](https://github.com/commit/b9ab60ee4b8f3fa8428644465bdb5a88d72e653a)) @TimonVS"
+        `)
+      })
+
+      it('lists the commits without pull requests', () => {
+        const changelog = generateChangeLog([], config, commits)
+        expect(changelog).toMatchInlineSnapshot(`
+          "* Fix typo in \\\\*README\\\\* ([3abba59](https://github.com/commit/3abba5918ff7d12fab322057fbdc23b535e76d01)) @Jane Doe
+          * Bump version ([b9ab60e](https://github.com/commit/b9ab60ee4b8f3fa8428644465bdb5a88d72e653a)) @TimonVS"
+        `)
+      })
+    })
+  })
+
+  describe('with closing issues', () => {
+    const pullRequestsClosingIssues = [
+      {
+        ...pullRequests[0],
+        baseRepository: { nameWithOwner: 'test/test' },
+        closingIssuesReferences: {
+          nodes: [issue(12, ['bug']), issue(34, [], 'test/docs')],
+        },
+      },
+      {
+        ...pullRequests[1],
+        baseRepository: { nameWithOwner: 'test/test' },
+        closingIssuesReferences: { nodes: [issue(12, ['bug'])] },
+      },
+      {
+        ...pullRequests[2],
+        labels: { nodes: [{ name: 'skip-changelog' }] },
+        baseRepository: { nameWithOwner: 'test/test' },
+        closingIssuesReferences: { nodes: [issue(56, [])] },
+      },
+    ]
+    const config = {
+      ...baseConfig,
+      'change-template': '* $TITLE (#$NUMBER) fixes $ISSUES',
+      'exclude-labels': ['skip-changelog'],
+      categories: [{ title: 'Bugs', labels: ['bug'] }],
+    }
+
+    it('lists the closing issues of each change with $ISSUES', () => {
+      expect(generateChangeLog(pullRequestsClosingIssues.slice(0, 2), config))
+        .toMatchInlineSnapshot(`
+          "* B2 (#2) fixes #12
+
+          ## Bugs
+
+          * A1 (#1) fixes #12, test/docs#34"
+        `)
+    })
+
+    it('lists the fixed issues by category', () => {
+      expect(generateFixedIssues(pullRequestsClosingIssues, config))
+        .toMatchInlineSnapshot(`
+          "* Issue 34 (test/docs#34)
+
+          ## Bugs
+
+          * Issue 12 (#12)"
+        `)
+      expect(generateFixedIssues(pullRequests, config)).toEqual('')
+    })
+  })
+
+  describe('resolveVersionKeyIncrement', () => {
+    const config = {
+      ...baseConfig,
+      'version-resolver': {
+        major: { labels: ['major'] },
+        minor: { labels: ['feature'] },
+        patch: { labels: ['bug'] },
+        default: 'patch',
+      },
+      'conventional-commits': {
+        ...baseConfig['conventional-commits'],
+        enabled: true,
+      },
+    }
+
+    it('resolves the version key from labels', () => {
+      expect(resolveVersionKeyIncrement(pullRequests, config)).toEqual('minor')
+    })
+
+    it('resolves breaking conventional commits to the breaking version', () => {
+      const breakingPullRequests = [
+        ...pullRequests,
+        { title: 'fix(api)!: remove v1', labels: { nodes: [] } },
+      ]
+
+      expect(resolveVersionKeyIncrement(breakingPullRequests, config)).toEqual(
+        'major'
+      )
+      expect(
+        resolveVersionKeyIncrement(breakingPullRequests, {
+          ...config,
+          'conventional-commits': {
+            ...config['conventional-commits'],
+            'breaking-version': 'minor',
+          },
+        })
+      ).toEqual('minor')
+      expect(
+        resolveVersionKeyIncrement(breakingPullRequests, {
+          ...config,
+          'conventional-commits': baseConfig['conventional-commits'],
+        })
+      ).toEqual('minor')
+    })
   })
 
   describe('findReleases', () => {
@@ -378,5 +559,277 @@ describe('releases', () => {
         prerelease: false,
       })
     })
+
+    it('should return the most recent ancestor release with the ancestry strategy', async () => {
+      paginateMock.mockResolvedValueOnce([
+        {
+          tag_name: 'v2.3.0',
+          draft: false,
+          prerelease: false,
+          created_at: '2023-03-01T00:00:00Z',
+        },
+        {
+          tag_name: 'v1.4.1',
+          draft: false,
+          prerelease: false,
+          created_at: '2023-02-01T00:00:00Z',
+        },
+        {
+          tag_name: 'v1.4.0',
+          draft: false,
+          prerelease: false,
+          created_at: '2022-12-01T00:00:00Z',
+        },
+      ])
+      const compareCommitsWithBasehead = jest.fn(async ({ basehead }) => ({
+        data: { status: basehead.startsWith('v2') ? 'diverged' : 'ahead' },
+      }))
+      const ancestryContext = {
+        ...context,
+        repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+        octokit: {
+          ...context.octokit,
+          repos: { ...context.octokit.repos, compareCommitsWithBasehead },
+        },
+      }
+
+      const { lastRelease } = await findReleases({
+        context: ancestryContext,
+        targetCommitish: 'refs/heads/release/1.x',
+        tagPrefix: '',
+        previousReleaseStrategy: 'ancestry',
+      })
+
+      expect(lastRelease.tag_name).toEqual('v1.4.1')
+      expect(compareCommitsWithBasehead.mock.calls).toEqual([
+        [
+          {
+            owner: 'test',
+            repo: 'test',
+            basehead: 'v2.3.0...release/1.x',
+            per_page: 1,
+          },
+        ],
+        [
+          {
+            owner: 'test',
+            repo: 'test',
+            basehead: 'v1.4.1...release/1.x',
+            per_page: 1,
+          },
+        ],
+      ])
+    })
+
+    it('should look up the last release by tag beyond 1000 releases', async () => {
+      const releases = Array.from({ length: 1000 }, (_, index) => ({
+        tag_name: `v2.0.0-beta.${1000 - index}`,
+        draft: false,
+        prerelease: true,
+      }))
+      const tags = ['v1.0.0', 'v1.1.0', 'v2.0.0-beta.1000', 'v0.9.0'].map(
+        (name) => ({ name, target: { committedDate: '2023-01-01T00:00:00Z' } })
+      )
+      const tagsContext = {
+        ...context,
+        repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+        octokit: {
+          ...context.octokit,
+          graphql: jest.fn().mockResolvedValueOnce({
+            repository: {
+              refs: {
+                nodes: tags,
+                pageInfo: { hasNextPage: false, endCursor: null },
+              },
+            },
+          }),
+          repos: {
+            ...context.octokit.repos,
+            getReleaseByTag: jest.fn(async ({ tag }) => {
+              if (tag === 'v1.1.0') {
+                throw Object.assign(new Error('Not Found'), { status: 404 })
+              }
+              return {
+                data: {
+                  tag_name: tag,
+                  draft: false,
+                  prerelease: tag.includes('beta'),
+                },
+              }
+            }),
+          },
+        },
+      }
+      paginateMock.mockResolvedValueOnce(releases)
+
+      const { lastRelease } = await findReleases({
+        context: tagsContext,
+        targetCommitish: 'refs/heads/master',
+        tagPrefix: '',
+      })
+
+      expect(lastRelease).toEqual({
+        tag_name: 'v1.0.0',
+        draft: false,
+        prerelease: false,
+      })
+      expect(
+        tagsContext.octokit.repos.getReleaseByTag.mock.calls.map(
+          ([{ tag }]) => tag
+        )
+      ).toEqual(['v1.1.0', 'v1.0.0'])
+    })
+
+    it('should not look up the prerelease tags and the tags out of the version range', async () => {
+      const releases = Array.from({ length: 1000 }, (_, index) => ({
+        tag_name: `v3.0.0-beta.${1000 - index}`,
+        draft: false,
+        prerelease: true,
+      }))
+      const tags = [
+        ...Array.from({ length: 200 }, (_, index) => `v3.0.0-beta.${index}`),
+        'v3.0.0',
+        'v2.1.0',
+        'v2.0.0',
+      ].map((name) => ({
+        name,
+        target: { committedDate: '2023-01-01T00:00:00Z' },
+      }))
+      const tagsContext = {
+        ...context,
+        repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+        octokit: {
+          ...context.octokit,
+          graphql: jest.fn().mockResolvedValueOnce({
+            repository: {
+              refs: {
+                nodes: tags,
+                pageInfo: { hasNextPage: false, endCursor: null },
+              },
+            },
+          }),
+          repos: {
+            ...context.octokit.repos,
+            getReleaseByTag: jest.fn(async ({ tag }) => ({
+              data: { tag_name: tag, draft: false, prerelease: false },
+            })),
+          },
+        },
+      }
+      paginateMock.mockResolvedValueOnce(releases)
+
+      const { lastRelease } = await findReleases({
+        context: tagsContext,
+        targetCommitish: 'refs/heads/release/2.x',
+        includePreReleases: false,
+        tagPrefix: 'v',
+        versionRange: '2.x',
+      })
+
+      expect(lastRelease.tag_name).toEqual('v2.1.0')
+      expect(tagsContext.octokit.repos.getReleaseByTag).toHaveBeenCalledTimes(1)
+    })
+
+    it('should only consider the releases in the version range', async () => {
+      paginateMock.mockResolvedValueOnce([
+        { tag_name: 'v3.1.0', draft: true, prerelease: false },
+        { tag_name: 'v3.0.0', draft: false, prerelease: false },
+        { tag_name: 'v2.4.1', draft: true, prerelease: false },
+        { tag_name: 'v2.4.0', draft: false, prerelease: false },
+      ])
+
+      const { draftRelease, lastRelease } = await findReleases({
+        context,
+        targetCommitish: 'refs/heads/release/2.x',
+        includePreReleases: false,
+        tagPrefix: 'v',
+        versionRange: '2.x',
+      })
+
+      expect(draftRelease.tag_name).toEqual('v2.4.1')
+      expect(lastRelease.tag_name).toEqual('v2.4.0')
+    })
+
+    it('should only match the drafts with the draft key', async () => {
+      paginateMock.mockResolvedValueOnce([
+        { tag_name: 'v2.0.0', draft: true, prerelease: false, body: '' },
+        {
+          tag_name: 'v1.1.0',
+          draft: true,
+          prerelease: false,
+          body: 'SDK\n\n<!-- release-drafter:draft-key sdk -->',
+        },
+        {
+          tag_name: 'v1.0.1',
+          draft: true,
+          prerelease: false,
+          body: 'CLI\n\n<!-- release-drafter:draft-key cli -->',
+        },
+      ])
+
+      const { draftRelease } = await findReleases({
+        context,
+        targetCommitish: 'refs/heads/master',
+        includePreReleases: false,
+        tagPrefix: 'v',
+        draftKey: 'cli',
+      })
+
+      expect(draftRelease.tag_name).toEqual('v1.0.1')
+    })
+
+    it('should include the tags without release with includeTags', async () => {
+      const tagsContext = {
+        ...context,
+        repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+        octokit: {
+          ...context.octokit,
+          graphql: jest.fn().mockResolvedValueOnce({
+            repository: {
+              refs: {
+                nodes: [
+                  {
+                    name: 'v1.0.0',
+                    target: {
+                      oid: 'a1b2c3',
+                      committedDate: '2023-01-01T00:00:00Z',
+                    },
+                  },
+                  {
+                    name: 'v1.1.0',
+                    target: {
+                      target: {
+                        oid: 'd4e5f6',
+                        committedDate: '2023-02-01T00:00:00Z',
+                      },
+                    },
+                  },
+                ],
+                pageInfo: { hasNextPage: false, endCursor: null },
+              },
+            },
+          }),
+        },
+      }
+      paginateMock.mockResolvedValueOnce([
+        { tag_name: 'v1.0.0', draft: false, prerelease: false },
+      ])
+
+      const { lastRelease } = await findReleases({
+        context: tagsContext,
+        targetCommitish: 'refs/heads/master',
+        tagPrefix: 'v',
+        includeTags: true,
+      })
+
+      expect(lastRelease).toEqual({
+        tag_name: 'v1.1.0',
+        name: 'v1.1.0',
+        target_commitish: 'd4e5f6',
+        created_at: '2023-02-01T00:00:00Z',
+        draft: false,
+        prerelease: false,
+      })
+    })
   })
 })
@@ -21,6 +21,17 @@ const validConfigs = [
   [{ template, footer: 'I am on bottm' }],
   [{ template, header: 'I am on top', footer: 'I am on bottm' }],
   [{ template, 'pull-request-limit': 49 }],
+  [
+    {
+      template,
+      autolabeler: [
+        {
+          label: 'backend',
+          all: [{ files: ['api/**'] }, { not: { branch: ['/^release/'] } }],
+        },
+      ],
+    },
+  ],
 ]
 
 const invalidConfigs = [
@@ -55,6 +66,36 @@ const invalidConfigs = [
   [{ replacers: [{ search: '123', replace: 123 }] }, 'must be a string'],
   [{ commitish: false }, 'must be a string'],
   [{ 'pull-request-limit': 'forty nine' }, 'must be a number'],
+  [{ autolabeler: [{ label: 'backend', all: [] }] }, 'must contain at least 1'],
+  [
+    { autolabeler: [{ label: 'community', 'author-association': 'STRANGER' }] },
+    'must be one of',
+  ],
+  [
+    { autolabeler: [{ label: 'backend', not: { labels: ['bug'] } }] },
+    '"autolabeler[0].not.labels" is not allowed',
+  ],
+  [
+    { packages: [{ name: 'billing', 'include-paths': ['billing'] }] },
+    '"packages[0].tag-prefix" is required',
+  ],
+  [
+    {
+      packages: [
+        { name: 'billing', 'tag-prefix': 'v' },
+        { name: 'auth', 'tag-prefix': 'v' },
+      ],
+    },
+    'contains a duplicate value',
+  ],
+  [
+    { packages: [{ name: 'billing', 'tag-prefix': 'v', autolabeler: [] }] },
+    '"packages[0].autolabeler" is not allowed',
+  ],
+  [
+    { 'version-constraints': [{ reference: 'release/2.x', range: 'two' }] },
+    '"version-constraints[0].range" contains an invalid value',
+  ],
 ]
 
 describe('schema', () => {
@@ -120,5 +161,34 @@ describe('schema', () => {
       }
       expect(validateSchema(context, expected)).toMatchObject(expected)
     })
+
+    it('Packages override the config', () => {
+      const config = validateSchema(context, {
+        template,
+        'change-template': '* $TITLE',
+        categories: [{ title: 'Features', labels: ['feature'] }],
+        packages: [
+          {
+            name: 'billing',
+            'tag-prefix': 'billing-v',
+            categories: [{ title: 'Bug Fixes', label: 'bug' }],
+          },
+        ],
+      })
+
+      expect(config.packages).toEqual([
+        expect.objectContaining({
+          name: 'billing',
+          template,
+          'change-template': '* $TITLE',
+          'tag-prefix': 'billing-v',
+          'tag-template': 'billing-v$RESOLVED_VERSION',
+          categories: [
+            expect.objectContaining({ title: 'Bug Fixes', labels: ['bug'] }),
+          ],
+          packages: [],
+        }),
+      ])
+    })
   })
 })
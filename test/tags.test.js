@@ -0,0 +1,109 @@
+const { findTags, toTagReleases } = require('../lib/tags')
+
+describe('tags', () => {
+  describe('findTags', () => {
+    it('finds the tags starting with the prefix', async () => {
+      const context = {
+        repo: (object) => ({ owner: 'test', repo: 'test', ...object }),
+        octokit: {
+          graphql: jest.fn().mockResolvedValueOnce({
+            repository: {
+              refs: {
+                nodes: [
+                  {
+                    name: 'billing-v1.0.0',
+                    target: {
+                      oid: 'a1b2c3',
+                      committedDate: '2023-01-01T00:00:00Z',
+                    },
+                  },
+                  {
+                    name: 'billing-v1.1.0',
+                    target: {
+                      target: {
+                        oid: 'd4e5f6',
+                        committedDate: '2023-02-01T00:00:00Z',
+                      },
+                    },
+                  },
+                  {
+                    name: 'old-billing-v0.1.0',
+                    target: {
+                      oid: '0a0b0c',
+                      committedDate: '2022-01-01T00:00:00Z',
+                    },
+                  },
+                ],
+                pageInfo: { hasNextPage: false, endCursor: null },
+              },
+            },
+          }),
+        },
+      }
+
+      const tags = await findTags({ context, tagPrefix: 'billing-v' })
+
+      expect(tags).toEqual([
+        {
+          name: 'billing-v1.0.0',
+          sha: 'a1b2c3',
+          committedDate: '2023-01-01T00:00:00Z',
+        },
+        {
+          name: 'billing-v1.1.0',
+          sha: 'd4e5f6',
+          committedDate: '2023-02-01T00:00:00Z',
+        },
+      ])
+      expect(context.octokit.graphql).toHaveBeenCalledWith(
+        expect.stringContaining('refPrefix: "refs/tags/"'),
+        { owner: 'test', name: 'test', query: 'billing-v' }
+      )
+    })
+  })
+
+  describe('toTagReleases', () => {
+    it('turns the tags without a release into releases', () => {
+      const tagReleases = toTagReleases({
+        tags: [
+          {
+            name: 'v1.0.0',
+            sha: 'a1b2c3',
+            committedDate: '2023-01-01T00:00:00Z',
+          },
+          {
+            name: 'v1.1.0',
+            sha: 'd4e5f6',
+            committedDate: '2023-02-01T00:00:00Z',
+          },
+          {
+            name: 'v2.0.0-rc.1',
+            sha: 'f7a8b9',
+            committedDate: '2023-03-01T00:00:00Z',
+          },
+        ],
+        releases: [{ tag_name: 'v1.0.0', draft: false, prerelease: false }],
+        tagPrefix: 'v',
+      })
+
+      expect(tagReleases).toEqual([
+        {
+          tag_name: 'v1.1.0',
+          name: 'v1.1.0',
+          target_commitish: 'd4e5f6',
+          created_at: '2023-02-01T00:00:00Z',
+          draft: false,
+          prerelease: false,
+        },
+        {
+          tag_name: 'v2.0.0-rc.1',
+          name: 'v2.0.0-rc.1',
+          target_commitish: 'f7a8b9',
+          created_at: '2023-03-01T00:00:00Z',
+          draft: false,
+          prerelease: true,
+        },
+      ])
+    })
+  })
+})
@@ -0,0 +1,107 @@
+const {
+  findVersionRange,
+  clampVersionKeyIncrement,
+  findFirstVersionInRange,
+} = require('../lib/version-constraints')
+
+const config = {
+  'version-constraints': [
+    { reference: 'main', range: '>=3.0.0' },
+    { reference: 'refs/heads/release/2.x', range: '2.x' },
+  ],
+}
+
+const context = {
+  payload: { repository: { full_name: 'test/test' } },
+  log: { info: jest.fn() },
+}
+
+const lastRelease = { tag_name: 'v2.4.0', draft: false, prerelease: false }
+
+describe('version-constraints', () => {
+  describe('findVersionRange', () => {
+    it('finds the range of the reference', () => {
+      expect(
+        findVersionRange({ config, targetCommitish: 'refs/heads/release/2.x' })
+      ).toEqual('2.x')
+      expect(findVersionRange({ config, targetCommitish: 'main' })).toEqual(
+        '>=3.0.0'
+      )
+      expect(
+        findVersionRange({ config, targetCommitish: 'refs/heads/develop' })
+      ).toBeUndefined()
+    })
+  })
+
+  describe('clampVersionKeyIncrement', () => {
+    it('lowers an increment leaving the range', () => {
+      expect(
+        clampVersionKeyIncrement({
+          context,
+          lastRelease,
+          versionKeyIncrement: 'major',
+          versionRange: '2.x',
+          tagPrefix: 'v',
+        })
+      ).toEqual('minor')
+      expect(
+        clampVersionKeyIncrement({
+          context,
+          lastRelease,
+          versionKeyIncrement: 'premajor',
+          versionRange: '~2.4.0',
+          tagPrefix: 'v',
+          preReleaseIdentifier: 'rc',
+        })
+      ).toEqual('prepatch')
+      expect(context.log.info).toHaveBeenCalledWith(
+        'test/test: The major increment leaves the version range 2.x, using minor instead'
+      )
+    })
+
+    it('keeps an increment in the range', () => {
+      expect(
+        clampVersionKeyIncrement({
+          context,
+          lastRelease,
+          versionKeyIncrement: 'minor',
+          versionRange: '2.x',
+          tagPrefix: 'v',
+        })
+      ).toEqual('minor')
+      expect(
+        clampVersionKeyIncrement({
+          context,
+          lastRelease,
+          versionKeyIncrement: 'major',
+          tagPrefix: 'v',
+        })
+      ).toEqual('major')
+    })
+  })
+
+  describe('findFirstVersionInRange', () => {
+    it('starts from the lowest version of a range without release', () => {
+      expect(
+        findFirstVersionInRange({ context, versionRange: '>=3.0.0' })
+      ).toEqual('3.0.0')
+      expect(context.log.info).toHaveBeenCalledWith(
+        'test/test: No release in the version range >=3.0.0, starting from 3.0.0'
+      )
+    })
+
+    it('keeps the default first version in the range', () => {
+      expect(
+        findFirstVersionInRange({ context, versionRange: '<1.0.0' })
+      ).toBeUndefined()
+      expect(
+        findFirstVersionInRange({
+          context,
+          lastRelease,
+          versionRange: '2.x',
+        })
+      ).toBeUndefined()
+      expect(findFirstVersionInRange({ context })).toBeUndefined()
+    })
+  })
+})